@@ -1,18 +1,33 @@
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import HomePage from "./components/HomePage";
 import BookDetail from "./components/BookDetail";
+import AuthorPage from "./components/AuthorPage";
+import SubjectPage from "./components/SubjectPage";
+import IsbnLookup from "./components/IsbnLookup";
+import ShelvesPage from "./components/ShelvesPage";
+import StatsPage from "./components/StatsPage";
+import ImportPage from "./components/ImportPage";
 import { ThemeProvider } from "./context/ThemeContext";
+import { ShelvesProvider } from "./context/ShelvesContext";
 import "./App.css";
 
 function App() {
   return (
     <ThemeProvider>
-      <Router>
-        <Routes>
-          <Route path="/" element={<HomePage />} />
-          <Route path="/book/:bookId" element={<BookDetail />} />
-        </Routes>
-      </Router>
+      <ShelvesProvider>
+        <Router>
+          <Routes>
+            <Route path="/" element={<HomePage />} />
+            <Route path="/book/:bookId" element={<BookDetail />} />
+            <Route path="/author/:authorId" element={<AuthorPage />} />
+            <Route path="/subject/:slug" element={<SubjectPage />} />
+            <Route path="/isbn/:isbn" element={<IsbnLookup />} />
+            <Route path="/shelves" element={<ShelvesPage />} />
+            <Route path="/stats" element={<StatsPage />} />
+            <Route path="/import" element={<ImportPage />} />
+          </Routes>
+        </Router>
+      </ShelvesProvider>
     </ThemeProvider>
   );
 }
@@ -0,0 +1,382 @@
+import { useState, useEffect } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import BookCard from "./BookCard";
+import PaginationControls from "./PaginationControls";
+import {
+  getAuthorDetails,
+  getAuthorBibliography,
+  getAuthorPhotoUrl,
+  describeError,
+  ERROR_TYPES,
+} from "../services/bookService";
+import { useTheme } from "../context/ThemeContext";
+
+const WORKS_PER_PAGE = 18;
+
+const SORT_OPTIONS = [
+  { value: "default", label: "Open Library order" },
+  { value: "title", label: "Title A–Z" },
+  { value: "newest", label: "Newest first" },
+  { value: "oldest", label: "Oldest first" },
+];
+
+const sortWorks = (works, sortBy) => {
+  const sorted = [...works];
+
+  switch (sortBy) {
+    case "title":
+      return sorted.sort((a, b) => a.title.localeCompare(b.title));
+    case "newest":
+      // Undated works go last either way
+      return sorted.sort(
+        (a, b) => (b.first_publish_year || 0) - (a.first_publish_year || 0)
+      );
+    case "oldest":
+      return sorted.sort(
+        (a, b) =>
+          (a.first_publish_year || Infinity) -
+          (b.first_publish_year || Infinity)
+      );
+    default:
+      return sorted;
+  }
+};
+
+const AuthorPage = () => {
+  const { isDarkMode } = useTheme();
+  const { authorId } = useParams();
+  const navigate = useNavigate();
+  const [author, setAuthor] = useState(null);
+  const [works, setWorks] = useState([]);
+  const [worksInfo, setWorksInfo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [worksLoading, setWorksLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [worksError, setWorksError] = useState(null);
+  const [sortBy, setSortBy] = useState("default");
+  const [currentPage, setCurrentPage] = useState(1);
+  const [isPageTurning, setIsPageTurning] = useState(false);
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    const fetchAuthor = async () => {
+      if (!authorId) return;
+
+      setLoading(true);
+      setWorksLoading(true);
+      setError(null);
+      setWorksError(null);
+      setCurrentPage(1);
+
+      try {
+        const authorData = await getAuthorDetails(authorId);
+        if (isCancelled) return;
+        setAuthor(authorData);
+        setLoading(false);
+
+        // The profile shows straight away; the bibliography follows
+        try {
+          const bibliography = await getAuthorBibliography(
+            authorId,
+            authorData
+          );
+          if (isCancelled) return;
+          setWorks(bibliography.docs);
+          setWorksInfo(bibliography);
+        } catch (worksErr) {
+          if (isCancelled) return;
+          setWorks([]);
+          setWorksError(describeError(worksErr, "works").message);
+        }
+      } catch (err) {
+        if (isCancelled) return;
+        const { title, message } = describeError(err, "author");
+        setError({
+          title:
+            err.type === ERROR_TYPES.NOT_FOUND ? "Author Not Found" : title,
+          message,
+        });
+      } finally {
+        if (!isCancelled) {
+          setLoading(false);
+          setWorksLoading(false);
+        }
+      }
+    };
+
+    fetchAuthor();
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [authorId]);
+
+  const handleGoBack = () => {
+    navigate(-1);
+  };
+
+  const handleSortChange = (e) => {
+    setSortBy(e.target.value);
+    setCurrentPage(1);
+  };
+
+  const handlePageChange = (newPage) => {
+    if (newPage === currentPage || isPageTurning) return;
+
+    setIsPageTurning(true);
+    setTimeout(() => {
+      setCurrentPage(newPage);
+      setIsPageTurning(false);
+    }, 300);
+  };
+
+  if (loading || error) {
+    return (
+      <div
+        className={`min-h-screen flex items-center justify-center transition-colors duration-300 ${
+          isDarkMode ? "bg-slate-900" : "bg-gray-50"
+        }`}
+      >
+        <div className="bg-white rounded-lg shadow-md p-8 border border-gray-200 max-w-md text-center">
+          {loading ? (
+            <div className="flex items-center justify-center">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-black"></div>
+              <span className="ml-3 text-gray-700">Loading author...</span>
+            </div>
+          ) : (
+            <>
+              <h3 className="text-lg font-medium mb-2 text-black">
+                {error.title}
+              </h3>
+              <p className="text-gray-700 mb-4">{error.message}</p>
+              <button
+                onClick={handleGoBack}
+                className="px-4 py-2 bg-black text-white rounded-md hover:bg-gray-800 transition-colors"
+              >
+                Go Back
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const photoUrl = getAuthorPhotoUrl(author.photo_id, "L");
+  const lifespan = [author.birth_date, author.death_date]
+    .filter(Boolean)
+    .join(" – ");
+
+  const sortedWorks = sortWorks(works, sortBy);
+  const totalPages = Math.ceil(sortedWorks.length / WORKS_PER_PAGE);
+  const startIndex = (currentPage - 1) * WORKS_PER_PAGE;
+  const currentWorks = sortedWorks.slice(
+    startIndex,
+    startIndex + WORKS_PER_PAGE
+  );
+
+  return (
+    <div
+      className={`min-h-screen py-8 transition-colors duration-300 ${
+        isDarkMode ? "bg-slate-900" : "bg-gray-50"
+      }`}
+    >
+      <div className="container mx-auto px-4 max-w-6xl">
+        {/* Back Button */}
+        <div className="mb-6 animate-fade-in">
+          <button
+            onClick={handleGoBack}
+            className={`flex items-center space-x-2 transition-colors ${
+              isDarkMode
+                ? "text-white hover:text-gray-300"
+                : "text-gray-700 hover:text-gray-900"
+            }`}
+          >
+            <svg
+              className="w-5 h-5"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M15 19l-7-7 7-7"
+              />
+            </svg>
+            <span>Back</span>
+          </button>
+        </div>
+
+        {/* Author Profile Card */}
+        <div className="bg-white rounded-lg shadow-lg border border-gray-200 p-6 md:p-8 mb-8 animate-slide-up">
+          <div className="flex flex-col md:flex-row gap-6 md:gap-8">
+            <div className="shrink-0 flex justify-center">
+              {photoUrl ? (
+                <img
+                  src={photoUrl}
+                  alt={`Photo of ${author.name}`}
+                  className="w-48 h-64 object-cover rounded-lg shadow-md bg-gray-100"
+                />
+              ) : (
+                <div className="w-48 h-64 bg-linear-to-br from-gray-100 to-gray-200 rounded-lg flex items-center justify-center text-gray-500 text-sm">
+                  No photo available
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-4 animate-fade-in-delay">
+              <div>
+                <h1 className="text-3xl font-bold text-black mb-1">
+                  {author.name}
+                </h1>
+                {lifespan && (
+                  <p className="text-lg text-gray-600">{lifespan}</p>
+                )}
+              </div>
+
+              {author.bio && (
+                <div>
+                  <h3 className="font-semibold text-black mb-2">Biography:</h3>
+                  <p className="text-gray-700 leading-relaxed whitespace-pre-line">
+                    {author.bio}
+                  </p>
+                </div>
+              )}
+
+              {author.alternate_names.length > 0 && (
+                <div>
+                  <h3 className="font-semibold text-black mb-2">
+                    Also known as:
+                  </h3>
+                  <div className="flex flex-wrap gap-2">
+                    {author.alternate_names.slice(0, 10).map((name) => (
+                      <span
+                        key={name}
+                        className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm border border-gray-200"
+                      >
+                        {name}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {(author.wikipedia || author.links.length > 0) && (
+                <div className="flex flex-wrap gap-4 text-sm">
+                  {author.wikipedia && (
+                    <a
+                      href={author.wikipedia}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-blue-600 hover:text-blue-800 hover:underline"
+                    >
+                      Wikipedia
+                    </a>
+                  )}
+                  {author.links.map((link) => (
+                    <a
+                      key={link.url}
+                      href={link.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-blue-600 hover:text-blue-800 hover:underline"
+                    >
+                      {link.title || link.url}
+                    </a>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Bibliography */}
+        <div className="bg-white rounded-lg shadow-md p-3 md:p-6 border border-gray-200">
+          <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3 mb-3 md:mb-4">
+            <div>
+              <h2 className="text-lg md:text-xl font-semibold text-black">
+                Works
+              </h2>
+              {worksInfo && (
+                <p className="text-sm text-gray-600 mt-1">
+                  {worksInfo.isTruncated
+                    ? `Showing the first ${works.length} of ${worksInfo.numFound.toLocaleString()} works`
+                    : `${works.length.toLocaleString()} works`}
+                </p>
+              )}
+            </div>
+
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <span>Sort by</span>
+              <select
+                value={sortBy}
+                onChange={handleSortChange}
+                className="px-3 py-2 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {worksLoading ? (
+            <div className="flex items-center justify-center p-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-black"></div>
+              <span className="ml-3 text-gray-700">Loading works...</span>
+            </div>
+          ) : worksError ? (
+            <p className="text-red-600 text-center p-8">{worksError}</p>
+          ) : works.length === 0 ? (
+            <p className="text-gray-700 text-center p-8">
+              No works found for this author.
+            </p>
+          ) : (
+            <>
+              <div
+                className={`page-turning ${
+                  isPageTurning
+                    ? "books-grid-turning-out"
+                    : "books-grid-turning-in"
+                }`}
+              >
+                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-2 sm:gap-3 md:gap-4 lg:gap-6">
+                  {currentWorks.map((work, index) => (
+                    <BookCard
+                      key={`${work.key}-${currentPage}`}
+                      book={work}
+                      navigate={navigate}
+                      isPageTurning={isPageTurning}
+                      animationDelay={index * 50}
+                    />
+                  ))}
+                </div>
+              </div>
+
+              {totalPages > 1 && (
+                <PaginationControls
+                  currentPage={currentPage}
+                  totalPages={totalPages}
+                  onPageChange={handlePageChange}
+                  isPageTurning={isPageTurning}
+                  totalBooks={sortedWorks.length}
+                  currentRange={{
+                    start: startIndex + 1,
+                    end: startIndex + currentWorks.length,
+                  }}
+                />
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuthorPage;
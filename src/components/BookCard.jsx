@@ -0,0 +1,166 @@
+import { useState, useEffect } from "react";
+import ShelfSelect from "./ShelfSelect";
+import RatingBadge from "./RatingBadge";
+import {
+  getBookCoverUrl,
+  getBookId,
+  formatAuthors,
+} from "../services/bookService";
+
+const BookCard = ({ book, navigate, isPageTurning, animationDelay = 0 }) => {
+  const {
+    title,
+    author_name = [],
+    first_publish_year,
+    publisher = [],
+    isbn = [],
+    edition_count,
+    language = [],
+    key,
+  } = book;
+
+  const handleClick = () => {
+    if (key) {
+      // Provider-specific route ID (e.g., "/works/OL45804W" -> "OL45804W")
+      navigate(`/book/${getBookId(book)}`);
+    }
+  };
+
+  return (
+    <div
+      className={`book-card border border-gray-200 bg-white rounded-lg p-2 sm:p-3 md:p-4 hover:shadow-2xl hover:shadow-gray-400/30 hover:-translate-y-2 hover:scale-105 transition-all duration-300 cursor-pointer ${
+        isPageTurning
+          ? "book-card-slide-out"
+          : "book-card-slide-in animate-fade-in-scale"
+      }`}
+      style={{ animationDelay: `${animationDelay}ms` }}
+      onClick={handleClick}
+      role="button"
+      tabIndex={0}
+      onKeyDown={(e) => {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          handleClick();
+        }
+      }}
+    >
+      {/* Book Cover */}
+      <div className="relative">
+        <BookCover book={book} title={title} className="mb-2 sm:mb-3" />
+        <RatingBadge book={book} className="absolute top-2 right-2" />
+      </div>
+
+      {/* Book Info */}
+      <div className="space-y-2">
+        <h3 className="font-semibold text-black text-sm leading-tight line-clamp-2">
+          {title || "Untitled"}
+        </h3>
+
+        <p className="text-xs text-gray-600 line-clamp-2">
+          by {formatAuthors(author_name)}
+        </p>
+
+        <div className="space-y-1 text-xs text-gray-600">
+          {first_publish_year && <p>Published: {first_publish_year}</p>}
+
+          {publisher.length > 0 && <p>Publisher: {publisher[0]}</p>}
+
+          {edition_count && <p>Editions: {edition_count}</p>}
+
+          {language.length > 0 && (
+            <p>Language: {language.slice(0, 2).join(", ")}</p>
+          )}
+        </div>
+
+        {isbn.length > 0 && (
+          <div className="pt-2 border-t border-gray-200">
+            <p className="text-xs text-gray-600">ISBN: {isbn[0]}</p>
+          </div>
+        )}
+
+        <ShelfSelect book={book} className="pt-1" />
+      </div>
+    </div>
+  );
+};
+
+// Super fast BookCover component - minimal loading time
+const BookCover = ({ book, title, className = "" }) => {
+  const [currentSrc, setCurrentSrc] = useState(null);
+  const [hasError, setHasError] = useState(false);
+
+  // Get small size URL for fastest loading
+  const coverUrl = getBookCoverUrl(book, "S");
+
+  useEffect(() => {
+    if (!coverUrl) {
+      setHasError(true);
+      return;
+    }
+
+    // Set immediately and let browser handle loading
+    setCurrentSrc(coverUrl);
+    setHasError(false);
+  }, [coverUrl]);
+
+  const handleImageError = () => {
+    console.log(`Image display error for cover: ${coverUrl}`);
+    setHasError(true);
+    setCurrentSrc(null);
+  };
+
+  if (hasError || !coverUrl) {
+    return (
+      <div className={`${className} relative`}>
+        <div className="w-full h-48 bg-linear-to-br from-gray-100 to-gray-200 rounded-md flex items-center justify-center shadow-sm">
+          <div className="text-center text-gray-500 p-4">
+            <svg
+              className="w-12 h-12 mx-auto mb-2"
+              fill="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zM9 17l2.5-3.15L14 17H9zm10-1h-5l-2-2.5L10 17H5l3.5-4.5 1.5 1.8L12 11l5 5z" />
+            </svg>
+            <div className="text-xs font-medium text-gray-600">
+              {title
+                ? title.substring(0, 20) + (title.length > 20 ? "..." : "")
+                : "No Cover"}
+            </div>
+            <div className="text-xs text-gray-400 mt-1">Available</div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`${className} relative`}>
+      {currentSrc && !hasError ? (
+        <img
+          src={currentSrc}
+          alt={`Cover of ${title || "Book"}`}
+          className="w-full h-48 object-cover rounded-md bg-gray-100 shadow-sm transition-opacity duration-200"
+          onError={() => setHasError(true)}
+          loading="lazy"
+          decoding="async"
+        />
+      ) : (
+        // Show placeholder immediately for faster display
+        <div className="w-full h-48 bg-gray-100 rounded-md flex items-center justify-center shadow-sm">
+          <div className="text-center text-gray-400 p-3">
+            <svg
+              className="w-8 h-8 mx-auto mb-1"
+              fill="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2z" />
+            </svg>
+            <div className="text-xs font-medium">No Cover</div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BookCard;
@@ -1,21 +1,43 @@
 import { useState, useEffect } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import {
+  useParams,
+  useNavigate,
+  useSearchParams,
+  Link,
+} from "react-router-dom";
+import EditionsBrowser from "./EditionsBrowser";
+import ShelfPanel from "./ShelfPanel";
+import BookNotes from "./BookNotes";
 import {
   getBookDetails,
-  getSimpleCoverUrl,
+  getBookCoverUrl,
+  getEdition,
+  editionMetadata,
   formatAuthors,
-} from "../services/openLibraryApi";
+  formatLanguage,
+  describeError,
+  toSubjectSlug,
+  ERROR_TYPES,
+} from "../services/bookService";
 import { useTheme } from "../context/ThemeContext";
 
 const BookDetail = () => {
   const { isDarkMode } = useTheme();
   const { bookId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
   const [book, setBook] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [selectedEdition, setSelectedEdition] = useState(null);
+
+  // The selected edition lives in the URL so it survives reloads and sharing
+  const editionId = searchParams.get("edition");
 
   useEffect(() => {
+    let isCancelled = false;
+
     const fetchBookDetails = async () => {
       if (!bookId) return;
 
@@ -23,17 +45,70 @@ const BookDetail = () => {
       setError(null);
 
       try {
-        const bookData = await getBookDetails(bookId);
+        const bookData = await getBookDetails(bookId, {
+          // Stale cached details are shown first, then swapped for fresh ones
+          onRevalidate: (freshData) => {
+            if (!isCancelled) setBook(freshData);
+          },
+        });
+        if (isCancelled) return;
         setBook(bookData);
       } catch (err) {
-        setError(err.message || "Failed to fetch book details");
+        if (isCancelled) return;
+        const { title, message } = describeError(err, "book");
+        setError({
+          title: err.type === ERROR_TYPES.NOT_FOUND ? "Book Not Found" : title,
+          message,
+          canRetry: Boolean(err.isTransient),
+        });
       } finally {
-        setLoading(false);
+        if (!isCancelled) setLoading(false);
       }
     };
 
     fetchBookDetails();
-  }, [bookId]);
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [bookId, reloadCount]);
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    if (!editionId) {
+      setSelectedEdition(null);
+      return;
+    }
+
+    getEdition(editionId)
+      .then((edition) => {
+        if (!isCancelled) setSelectedEdition(edition);
+      })
+      .catch((err) => {
+        console.warn(`Could not load edition ${editionId}:`, err);
+        if (!isCancelled) setSelectedEdition(null);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [editionId]);
+
+  const handleSelectEdition = (edition) => {
+    setSelectedEdition(edition);
+    setSearchParams({ edition: edition.id }, { replace: true });
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  const handleClearEdition = () => {
+    setSelectedEdition(null);
+    setSearchParams({}, { replace: true });
+  };
+
+  const handleRetry = () => {
+    setReloadCount((count) => count + 1);
+  };
 
   const handleGoBack = () => {
     navigate(-1);
@@ -106,23 +181,33 @@ const BookDetail = () => {
               isDarkMode ? "text-white" : "text-black"
             }`}
           >
-            Error Loading Book
+            {error.title}
           </h3>
           <p
             className={`mb-4 ${isDarkMode ? "text-gray-300" : "text-gray-700"}`}
           >
-            {error}
+            {error.message}
           </p>
-          <button
-            onClick={handleGoBack}
-            className={`px-4 py-2 rounded-md transition-colors ${
-              isDarkMode
-                ? "bg-white text-black hover:bg-gray-200"
-                : "bg-black text-white hover:bg-gray-800"
-            }`}
-          >
-            Go Back
-          </button>
+          <div className="flex justify-center gap-3">
+            {error.canRetry && (
+              <button
+                onClick={handleRetry}
+                className="px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+              >
+                Try Again
+              </button>
+            )}
+            <button
+              onClick={handleGoBack}
+              className={`px-4 py-2 rounded-md transition-colors ${
+                isDarkMode
+                  ? "bg-white text-black hover:bg-gray-200"
+                  : "bg-black text-white hover:bg-gray-800"
+              }`}
+            >
+              Go Back
+            </button>
+          </div>
         </div>
       </div>
     );
@@ -149,6 +234,17 @@ const BookDetail = () => {
     );
   }
 
+  const isOpenLibraryBook = book.provider === "openlibrary";
+  const edition = isOpenLibraryBook ? selectedEdition : null;
+  // Edition-specific fields override the work's defaults
+  const displayBook = edition
+    ? {
+        ...book,
+        ...editionMetadata(edition),
+        cover_i: edition.cover_i || book.cover_i,
+      }
+    : book;
+
   return (
     <div
       className={`min-h-screen py-8 transition-colors duration-300 ${
@@ -189,7 +285,7 @@ const BookDetail = () => {
             {/* Book Cover */}
             <div className="flex justify-center animate-fade-in">
               <div className="w-full max-w-sm">
-                <BookCoverDetail coverId={book.cover_i} title={book.title} />
+                <BookCoverDetail book={displayBook} title={displayBook.title} />
               </div>
             </div>
 
@@ -201,49 +297,106 @@ const BookDetail = () => {
                   {book.title || "Untitled"}
                 </h1>
                 <p className="text-lg text-gray-600">
-                  by {formatAuthors(book.author_name || [])}
+                  by <AuthorLinks book={book} />
                 </p>
+                {edition && (
+                  <p className="mt-2 text-sm text-gray-600">
+                    Showing the {edition.publish_date || "selected"} edition
+                    {edition.title !== book.title &&
+                      ` “${edition.title}”`} ·{" "}
+                    <button
+                      onClick={handleClearEdition}
+                      className="text-blue-600 hover:text-blue-800 hover:underline"
+                    >
+                      Show default edition
+                    </button>
+                  </p>
+                )}
+              </div>
+
+              {/* Shelves */}
+              <div className="p-4 bg-gray-50 border border-gray-200 rounded-md">
+                <ShelfPanel book={displayBook} />
+              </div>
+
+              {/* Rating, Review & Notes */}
+              <div className="p-4 bg-gray-50 border border-gray-200 rounded-md">
+                <BookNotes book={displayBook} />
               </div>
 
               {/* Publication Info */}
               <div className="space-y-3">
-                {book.first_publish_year && (
+                {displayBook.first_publish_year && (
                   <div className="flex items-center space-x-2">
                     <span className="font-semibold text-black">Published:</span>
                     <span className="text-gray-700">
-                      {book.first_publish_year}
+                      {displayBook.first_publish_year}
                     </span>
                   </div>
                 )}
 
-                {book.publisher && book.publisher.length > 0 && (
+                {displayBook.publish_date && (
+                  <div className="flex items-center space-x-2">
+                    <span className="font-semibold text-black">
+                      Edition published:
+                    </span>
+                    <span className="text-gray-700">
+                      {displayBook.publish_date}
+                    </span>
+                  </div>
+                )}
+
+                {displayBook.publisher && displayBook.publisher.length > 0 && (
                   <div className="flex items-center space-x-2">
                     <span className="font-semibold text-black">Publisher:</span>
-                    <span className="text-gray-700">{book.publisher[0]}</span>
+                    <span className="text-gray-700">
+                      {displayBook.publisher[0]}
+                    </span>
                   </div>
                 )}
 
-                {book.edition_count && (
+                {displayBook.edition_count && (
                   <div className="flex items-center space-x-2">
                     <span className="font-semibold text-black">Editions:</span>
-                    <span className="text-gray-700">{book.edition_count}</span>
+                    <span className="text-gray-700">
+                      {displayBook.edition_count}
+                    </span>
+                  </div>
+                )}
+
+                {(displayBook.physical_format ||
+                  displayBook.number_of_pages) && (
+                  <div className="flex items-center space-x-2">
+                    <span className="font-semibold text-black">Format:</span>
+                    <span className="text-gray-700">
+                      {[
+                        displayBook.physical_format,
+                        displayBook.number_of_pages &&
+                          `${displayBook.number_of_pages} pages`,
+                      ]
+                        .filter(Boolean)
+                        .join(", ")}
+                    </span>
                   </div>
                 )}
 
-                {book.language && book.language.length > 0 && (
+                {displayBook.language && displayBook.language.length > 0 && (
                   <div className="flex items-center space-x-2">
                     <span className="font-semibold text-black">Language:</span>
                     <span className="text-gray-700">
-                      {book.language.slice(0, 3).join(", ")}
+                      {displayBook.language
+                        .slice(0, 3)
+                        .map(formatLanguage)
+                        .join(", ")}
                     </span>
                   </div>
                 )}
 
-                {book.isbn && book.isbn.length > 0 && (
+                {displayBook.isbn && displayBook.isbn.length > 0 && (
                   <div className="flex items-center space-x-2">
                     <span className="font-semibold text-black">ISBN:</span>
                     <span className="text-gray-700 font-mono">
-                      {book.isbn[0]}
+                      {displayBook.isbn[0]}
                     </span>
                   </div>
                 )}
@@ -255,12 +408,13 @@ const BookDetail = () => {
                   <h3 className="font-semibold text-black mb-2">Subjects:</h3>
                   <div className="flex flex-wrap gap-2">
                     {book.subject.slice(0, 6).map((subject, index) => (
-                      <span
+                      <Link
                         key={index}
-                        className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm border border-gray-200"
+                        to={`/subject/${toSubjectSlug(subject)}`}
+                        className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm border border-gray-200 hover:bg-gray-200 transition-colors"
                       >
                         {subject}
-                      </span>
+                      </Link>
                     ))}
                     {book.subject.length > 6 && (
                       <span className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm border border-gray-200">
@@ -299,34 +453,71 @@ const BookDetail = () => {
             </div>
           </div>
         </div>
+
+        {/* Editions */}
+        {isOpenLibraryBook && (
+          <EditionsBrowser
+            // The route may name an edition; its editions belong to the work
+            workId={book.key.split("/").pop()}
+            selectedEditionId={edition?.id}
+            onSelectEdition={handleSelectEdition}
+          />
+        )}
       </div>
     </div>
   );
 };
 
+// Author names with roles, each linking to the author when the ID is known
+const AuthorLinks = ({ book }) => {
+  const authors =
+    book.authors?.length > 0
+      ? book.authors
+      : (book.author_name || []).map((name) => ({ name }));
+
+  if (authors.length === 0) {
+    return formatAuthors([]);
+  }
+
+  return authors.map((author, index) => (
+    <span key={author.id || `${author.name}-${index}`}>
+      {index > 0 && (index === authors.length - 1 ? " & " : ", ")}
+      {author.id ? (
+        <Link
+          to={`/author/${author.id}`}
+          className="text-blue-600 hover:text-blue-800 hover:underline"
+        >
+          {author.name}
+        </Link>
+      ) : (
+        author.name
+      )}
+      {author.role && (
+        <span className="text-sm text-gray-500"> ({author.role})</span>
+      )}
+    </span>
+  ));
+};
+
 // Enhanced BookCover component for detail page with timeout handling
-const BookCoverDetail = ({ coverId, title }) => {
+const BookCoverDetail = ({ book, title }) => {
   const [src, setSrc] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(false);
 
+  // Get cover URL - use Large size for detail page, Medium as fallback
+  const coverUrl = getBookCoverUrl(book, "L");
+  const fallbackUrl = getBookCoverUrl(book, "M");
+
   useEffect(() => {
     let timeoutId = null;
     let isCancelled = false;
-
-    if (!coverId || coverId === -1) {
-      setLoading(false);
-      setError(true);
-      return;
-    }
+    let triedFallback = false;
 
     // Start loading
     setLoading(true);
     setError(false);
 
-    // Get cover URL - use Large size for detail page
-    const coverUrl = getSimpleCoverUrl(coverId, "L");
-
     if (!coverUrl) {
       setLoading(false);
       setError(true);
@@ -336,7 +527,7 @@ const BookCoverDetail = ({ coverId, title }) => {
     // Set timeout for image loading - 3 seconds max
     timeoutId = setTimeout(() => {
       if (!isCancelled) {
-        console.log(`Image timeout for coverId: ${coverId}`);
+        console.log(`Image timeout for cover: ${coverUrl}`);
         setError(true);
         setLoading(false);
       }
@@ -347,7 +538,7 @@ const BookCoverDetail = ({ coverId, title }) => {
     testImg.onload = () => {
       if (!isCancelled) {
         clearTimeout(timeoutId);
-        setSrc(coverUrl);
+        setSrc(testImg.src);
         setLoading(false);
         setError(false);
       }
@@ -356,10 +547,10 @@ const BookCoverDetail = ({ coverId, title }) => {
     testImg.onerror = () => {
       if (!isCancelled) {
         clearTimeout(timeoutId);
-        console.log(`Image failed to load for coverId: ${coverId}`);
+        console.log(`Image failed to load for cover: ${coverUrl}`);
         // Try medium size as fallback
-        const fallbackUrl = getSimpleCoverUrl(coverId, "M");
-        if (fallbackUrl !== coverUrl) {
+        if (!triedFallback && fallbackUrl && fallbackUrl !== coverUrl) {
+          triedFallback = true;
           testImg.src = fallbackUrl;
         } else {
           setError(true);
@@ -374,7 +565,7 @@ const BookCoverDetail = ({ coverId, title }) => {
       isCancelled = true;
       if (timeoutId) clearTimeout(timeoutId);
     };
-  }, [coverId]);
+  }, [coverUrl, fallbackUrl]);
 
   if (loading) {
     return (
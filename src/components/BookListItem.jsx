@@ -0,0 +1,61 @@
+import { Link } from "react-router-dom";
+import {
+  getBookCoverUrl,
+  getBookId,
+  formatAuthors,
+  formatLanguage,
+} from "../services/bookService";
+
+// Compact one-line result for the list view
+const BookListItem = ({ book }) => {
+  const {
+    title,
+    author_name = [],
+    first_publish_year,
+    edition_count,
+    language = [],
+    isbn = [],
+  } = book;
+  const coverUrl = getBookCoverUrl(book, "S");
+  const details = [
+    first_publish_year,
+    edition_count && `${edition_count} editions`,
+    language.slice(0, 2).map(formatLanguage).join(", "),
+    isbn[0] && `ISBN ${isbn[0]}`,
+  ].filter(Boolean);
+
+  return (
+    <Link
+      to={`/book/${getBookId(book)}`}
+      className="flex items-center gap-3 md:gap-4 p-2 rounded-md border border-gray-200 bg-white hover:bg-gray-50 hover:shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors"
+    >
+      {coverUrl ? (
+        <img
+          src={coverUrl}
+          alt={`Cover of ${title || "Book"}`}
+          className="w-10 h-14 object-cover rounded bg-gray-100 shrink-0"
+          loading="lazy"
+          decoding="async"
+        />
+      ) : (
+        <div className="w-10 h-14 bg-gray-100 rounded shrink-0" />
+      )}
+
+      <div className="min-w-0 flex-1">
+        <h3 className="text-sm font-semibold text-black truncate">
+          {title || "Untitled"}
+        </h3>
+        <p className="text-xs text-gray-600 truncate">
+          by {formatAuthors(author_name)}
+        </p>
+        {details.length > 0 && (
+          <p className="text-xs text-gray-500 truncate">
+            {details.join(" · ")}
+          </p>
+        )}
+      </div>
+    </Link>
+  );
+};
+
+export default BookListItem;
@@ -0,0 +1,149 @@
+import { useState } from "react";
+import StarRating from "./StarRating";
+import { useShelves } from "../context/useShelves";
+
+const formatDateTime = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+// Review editor; keeps a draft until saved
+const ReviewForm = ({ review, onSave }) => {
+  const [draft, setDraft] = useState(review);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(draft);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        rows={4}
+        placeholder="What did you think of it?"
+        aria-label="Review"
+        className="w-full px-3 py-2 text-sm border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 placeholder-gray-500"
+      />
+      <button
+        type="submit"
+        disabled={draft.trim() === review}
+        className="px-3 py-1.5 text-sm bg-black text-white rounded-md hover:bg-gray-800 disabled:opacity-50 transition-colors"
+      >
+        {review && !draft.trim() ? "Delete review" : "Save review"}
+      </button>
+    </form>
+  );
+};
+
+// The reader's rating, review and private notes for a work, stored locally
+const BookNotes = ({ book }) => {
+  const { getAnnotation, rateBook, setReview, addNote, deleteNote } =
+    useShelves();
+  const [noteText, setNoteText] = useState("");
+  const annotation = getAnnotation(book);
+  const rating = annotation?.rating || null;
+  const review = annotation?.review || "";
+  const notes = annotation?.notes || [];
+
+  const handleAddNote = (e) => {
+    e.preventDefault();
+    if (!noteText.trim()) return;
+
+    addNote(book, noteText);
+    setNoteText("");
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Rating */}
+      <div>
+        <h3 className="font-semibold text-black mb-1">My rating</h3>
+        <div className="flex items-center gap-3">
+          <StarRating
+            value={rating}
+            onChange={(value) => rateBook(book, value)}
+            label="My rating"
+          />
+          <span className="text-sm text-gray-600">
+            {rating ? `${rating} / 5` : "Not rated"}
+          </span>
+        </div>
+      </div>
+
+      {/* Review */}
+      <div>
+        <h3 className="font-semibold text-black mb-1">My review</h3>
+        {annotation?.reviewedAt && (
+          <p className="text-xs text-gray-500 mb-1">
+            Last edited {formatDateTime(annotation.reviewedAt)}
+          </p>
+        )}
+        {/* Remount the draft when the saved review changes */}
+        <ReviewForm
+          key={annotation?.reviewedAt || "new"}
+          review={review}
+          onSave={(text) => setReview(book, text)}
+        />
+      </div>
+
+      {/* Private Notes */}
+      <div>
+        <h3 className="font-semibold text-black mb-1">
+          Private notes{notes.length > 0 && ` (${notes.length})`}
+        </h3>
+        <form onSubmit={handleAddNote} className="space-y-2 mb-3">
+          <textarea
+            value={noteText}
+            onChange={(e) => setNoteText(e.target.value)}
+            rows={2}
+            placeholder="Add a note - a quote, a page reference, a thought..."
+            aria-label="New note"
+            className="w-full px-3 py-2 text-sm border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 placeholder-gray-500"
+          />
+          <button
+            type="submit"
+            disabled={!noteText.trim()}
+            className="px-3 py-1.5 text-sm bg-black text-white rounded-md hover:bg-gray-800 disabled:opacity-50 transition-colors"
+          >
+            Add note
+          </button>
+        </form>
+        {notes.length > 0 && (
+          <ul className="space-y-2">
+            {notes.map((note) => (
+              <li
+                key={note.id}
+                className="p-3 bg-white border border-gray-200 rounded-md"
+              >
+                <div className="flex items-center justify-between gap-2 mb-1">
+                  <time
+                    dateTime={new Date(note.createdAt).toISOString()}
+                    className="text-xs text-gray-500"
+                  >
+                    {formatDateTime(note.createdAt)}
+                  </time>
+                  <button
+                    type="button"
+                    onClick={() => deleteNote(book, note.id)}
+                    aria-label="Delete note"
+                    className="text-xs text-red-600 hover:text-red-800"
+                  >
+                    Delete
+                  </button>
+                </div>
+                <p className="text-sm text-gray-800 whitespace-pre-line">
+                  {note.text}
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BookNotes;
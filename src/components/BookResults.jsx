@@ -1,10 +1,39 @@
-import { useState, useEffect } from "react";
+import { useState } from "react";
 import { useNavigate } from "react-router-dom";
+import BookCard from "./BookCard";
+import BookListItem from "./BookListItem";
+import BookTable from "./BookTable";
+import PaginationControls from "./PaginationControls";
+import FacetPanel from "./FacetPanel";
+import InfiniteScrollFooter from "./InfiniteScrollFooter";
+import VirtualizedGrid from "./VirtualizedGrid";
+import ExportMenu from "./ExportMenu";
 import {
-  getCoverUrl,
-  formatAuthors,
   getFallbackCoverUrl,
-} from "../services/openLibraryApi";
+  describeError,
+  sortBooks,
+  SORT_OPTIONS,
+  getResultsView,
+  setResultsView,
+} from "../services/bookService";
+
+const RESULTS_GRID_CLASS =
+  "grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6 gap-2 sm:gap-3 md:gap-4 lg:gap-6";
+const RESULTS_LIST_CLASS = "grid grid-cols-1 gap-2";
+
+const VIEW_OPTIONS = [
+  { value: "grid", label: "Grid" },
+  { value: "list", label: "List" },
+  { value: "table", label: "Table" },
+];
+
+const MODE_OPTIONS = [
+  { value: "pages", label: "Pages" },
+  { value: "continuous", label: "Continuous" },
+];
+
+// Above this many cards only the rows near the viewport are mounted
+const VIRTUALIZE_MIN_BOOKS = 60;
 
 const BookResults = ({
   books,
@@ -14,10 +43,29 @@ const BookResults = ({
   isInitialLoad,
   currentPage = 1,
   booksPerPage = 12,
+  totalResults,
   onPageChange,
+  onRetry,
+  sortBy = "relevance",
+  onSortChange,
+  activeTerms,
+  onFacetToggle,
+  resultsMode = "pages",
+  onResultsModeChange,
+  onLoadMore,
+  isLoadingMore = false,
+  hasReachedEnd = false,
+  loadMoreError,
   isPageTurning = false,
 }) => {
   const navigate = useNavigate();
+  const [view, setView] = useState(getResultsView);
+
+  const handleViewChange = (nextView) => {
+    setView(nextView);
+    setResultsView(nextView);
+  };
+
   if (loading) {
     return (
       <div className="bg-white rounded-lg shadow-md p-8 border border-gray-200">
@@ -48,6 +96,14 @@ const BookResults = ({
           </svg>
           <h3 className="text-lg font-medium mb-2 text-black">Search Error</h3>
           <p className="text-gray-700">{error}</p>
+          {onRetry && (
+            <button
+              onClick={onRetry}
+              className="mt-4 px-4 py-2 bg-black text-white rounded-md hover:bg-gray-800 transition-colors"
+            >
+              Try Again
+            </button>
+          )}
         </div>
       </div>
     );
@@ -81,59 +137,184 @@ const BookResults = ({
     );
   }
 
-  // Calculate pagination
-  const totalPages = Math.ceil(books.length / booksPerPage);
+  // Calculate pagination. When totalResults is given the books array already
+  // holds the pages fetched from the API, sorted by the service - the current
+  // one, or every page loaded so far in continuous mode. Otherwise it holds
+  // every book and is sorted (and, with pages, sliced) here.
+  const isServerPaginated = typeof totalResults === "number";
+  const isContinuous = resultsMode === "continuous";
+  const totalBooks = isServerPaginated ? totalResults : books.length;
+  const totalPages = Math.ceil(totalBooks / booksPerPage);
   const startIndex = (currentPage - 1) * booksPerPage;
-  const endIndex = Math.min(startIndex + booksPerPage, books.length);
-  const currentBooks = books.slice(startIndex, endIndex);
+  const currentBooks = isServerPaginated
+    ? books
+    : isContinuous
+      ? sortBooks(books, sortBy)
+      : sortBooks(books, sortBy).slice(startIndex, startIndex + booksPerPage);
+  const endIndex = startIndex + currentBooks.length;
+  // Providers drop unusable docs and duplicates, so the loaded count rarely
+  // reaches the total - count pages instead, and stop at an empty one
+  const hasMore =
+    isServerPaginated && !hasReachedEnd && currentPage < totalPages;
+  const isVirtualized =
+    isContinuous || currentBooks.length > VIRTUALIZE_MIN_BOOKS;
 
   return (
     <div className="bg-white rounded-lg shadow-md p-3 md:p-6 border border-gray-200">
-      <div className="mb-3 md:mb-4">
-        <h2 className="text-lg md:text-xl font-semibold text-black">
-          {isInitialLoad ? "Popular Books" : "Search Results"}
-        </h2>
-        {searchInfo && (
-          <p className="text-sm text-gray-600 mt-1">
-            {isInitialLoad
-              ? `Premium selection of ${books.length} books with guaranteed high-quality cover images`
-              : `Showing ${Math.min(currentBooks.length, booksPerPage)} of ${
-                  books.length
-                } books found${
-                  books.length > booksPerPage
-                    ? ` (Page ${currentPage} of ${totalPages})`
-                    : ""
-                }`}
-          </p>
-        )}
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3 mb-3 md:mb-4">
+        <div>
+          <h2 className="text-lg md:text-xl font-semibold text-black">
+            {isInitialLoad ? "Popular Books" : "Search Results"}
+          </h2>
+          {searchInfo && (
+            <p className="text-sm text-gray-600 mt-1">
+              {isInitialLoad
+                ? `Premium selection of ${books.length} books with guaranteed high-quality cover images`
+                : `Showing ${currentBooks.length} of ${totalBooks.toLocaleString()} books found${
+                    totalBooks > booksPerPage && !isContinuous
+                      ? ` (Page ${currentPage} of ${totalPages})`
+                      : ""
+                  }`}
+            </p>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <ToggleGroup
+            label="Results view"
+            options={VIEW_OPTIONS}
+            value={view}
+            onChange={handleViewChange}
+          />
+
+          <ExportMenu
+            books={currentBooks}
+            title={isInitialLoad ? "Popular books" : "Search results"}
+            disabled={isPageTurning}
+          />
+
+          {onResultsModeChange && (
+            <ToggleGroup
+              label="Results layout"
+              options={MODE_OPTIONS}
+              value={resultsMode}
+              onChange={onResultsModeChange}
+              disabled={isPageTurning}
+            />
+          )}
+
+          {onSortChange && (
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <span>Sort by</span>
+              <select
+                value={sortBy}
+                onChange={(e) => onSortChange(e.target.value)}
+                disabled={isPageTurning}
+                className="px-3 py-2 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
       </div>
 
-      <div
-        className={`page-turning ${
-          isPageTurning ? "books-grid-turning-out" : "books-grid-turning-in"
-        }`}
-      >
-        <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-2 sm:gap-3 md:gap-4 lg:gap-6">
-          {currentBooks.map((book, index) => (
-            <BookCard
-              key={`${book.key}-${currentPage}-${index}`}
-              book={book}
-              navigate={navigate}
-              isPageTurning={isPageTurning}
-              animationDelay={index * 50}
+      {/* Offline / Fallback Notice */}
+      {searchInfo?.isFallback && (
+        <OfflineBanner reason={searchInfo.fallbackReason} onRetry={onRetry} />
+      )}
+
+      <div className="flex flex-col md:flex-row gap-4 md:gap-6">
+        {/* Facet Sidebar */}
+        {onFacetToggle && (
+          <FacetPanel
+            books={currentBooks}
+            activeTerms={activeTerms}
+            onToggle={onFacetToggle}
+            disabled={isPageTurning}
+          />
+        )}
+
+        <div
+          className={`flex-1 min-w-0 page-turning ${
+            isPageTurning ? "books-grid-turning-out" : "books-grid-turning-in"
+          }`}
+        >
+          {view === "table" ? (
+            <BookTable books={currentBooks} virtualized={isVirtualized} />
+          ) : view === "list" ? (
+            isVirtualized ? (
+              <VirtualizedGrid
+                items={currentBooks}
+                getItemKey={(book, index) => `${book.key}-${index}`}
+                renderItem={(book) => <BookListItem book={book} />}
+                gridClassName={RESULTS_LIST_CLASS}
+              />
+            ) : (
+              <div className={RESULTS_LIST_CLASS}>
+                {currentBooks.map((book, index) => (
+                  <BookListItem
+                    key={`${book.key}-${currentPage}-${index}`}
+                    book={book}
+                  />
+                ))}
+              </div>
+            )
+          ) : isVirtualized ? (
+            // Cards mount as they scroll into view, so they skip the
+            // staggered entrance
+            <VirtualizedGrid
+              items={currentBooks}
+              getItemKey={(book, index) => `${book.key}-${index}`}
+              renderItem={(book) => (
+                <BookCard
+                  book={book}
+                  navigate={navigate}
+                  isPageTurning={isPageTurning}
+                />
+              )}
+              gridClassName={RESULTS_GRID_CLASS}
             />
-          ))}
+          ) : (
+            <div className={RESULTS_GRID_CLASS}>
+              {currentBooks.map((book, index) => (
+                <BookCard
+                  key={`${book.key}-${currentPage}-${index}`}
+                  book={book}
+                  navigate={navigate}
+                  isPageTurning={isPageTurning}
+                  animationDelay={index * 50}
+                />
+              ))}
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Continuous Loading */}
+      {isContinuous && (
+        <InfiniteScrollFooter
+          hasMore={hasMore}
+          isLoading={isLoadingMore}
+          error={loadMoreError}
+          onLoadMore={onLoadMore}
+          loadedCount={currentBooks.length}
+          totalCount={totalBooks}
+        />
+      )}
+
       {/* Pagination Controls */}
-      {totalPages > 1 && (
+      {!isContinuous && totalPages > 1 && (
         <PaginationControls
           currentPage={currentPage}
           totalPages={totalPages}
           onPageChange={onPageChange}
           isPageTurning={isPageTurning}
-          totalBooks={books.length}
+          totalBooks={totalBooks}
           currentRange={{ start: startIndex + 1, end: endIndex }}
         />
       )}
@@ -141,312 +322,68 @@ const BookResults = ({
   );
 };
 
-const BookCard = ({ book, navigate, isPageTurning, animationDelay = 0 }) => {
-  const {
-    title,
-    author_name = [],
-    first_publish_year,
-    cover_i,
-    publisher = [],
-    isbn = [],
-    edition_count,
-    language = [],
-    key,
-  } = book;
+// Row of mutually exclusive buttons, e.g. the view and layout switches
+const ToggleGroup = ({ label, options, value, onChange, disabled = false }) => (
+  <div
+    role="group"
+    aria-label={label}
+    className="inline-flex rounded-md border border-gray-300 overflow-hidden text-sm"
+  >
+    {options.map((option) => (
+      <button
+        key={option.value}
+        type="button"
+        onClick={() => onChange(option.value)}
+        aria-pressed={value === option.value}
+        disabled={disabled || value === option.value}
+        className={`px-3 py-2 transition-colors ${
+          value === option.value
+            ? "bg-black text-white"
+            : "bg-white text-gray-700 hover:bg-gray-50"
+        }`}
+      >
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
 
-  const handleClick = () => {
-    if (key) {
-      // Extract the book ID from the key (e.g., "/works/OL45804W" -> "OL45804W")
-      const bookId = key.split("/").pop();
-      navigate(`/book/${bookId}`);
-    }
-  };
+const OfflineBanner = ({ reason, onRetry }) => {
+  const { title, message } = describeError({ type: reason }, "search results");
 
   return (
     <div
-      className={`book-card border border-gray-200 bg-white rounded-lg p-2 sm:p-3 md:p-4 hover:shadow-2xl hover:shadow-gray-400/30 hover:-translate-y-2 hover:scale-105 transition-all duration-300 cursor-pointer ${
-        isPageTurning
-          ? "book-card-slide-out"
-          : "book-card-slide-in animate-fade-in-scale"
-      }`}
-      style={{ animationDelay: `${animationDelay}ms` }}
-      onClick={handleClick}
-      role="button"
-      tabIndex={0}
-      onKeyDown={(e) => {
-        if (e.key === "Enter" || e.key === " ") {
-          e.preventDefault();
-          handleClick();
-        }
-      }}
+      role="status"
+      className="mb-4 flex flex-col sm:flex-row sm:items-center gap-3 rounded-lg border border-amber-300 bg-amber-50 p-3 md:p-4"
     >
-      {/* Book Cover */}
-      <BookCover coverId={cover_i} title={title} className="mb-2 sm:mb-3" />
-
-      {/* Book Info */}
-      <div className="space-y-2">
-        <h3 className="font-semibold text-black text-sm leading-tight line-clamp-2">
-          {title || "Untitled"}
-        </h3>
-
-        <p className="text-xs text-gray-600 line-clamp-2">
-          by {formatAuthors(author_name)}
+      <svg
+        className="h-6 w-6 shrink-0 text-amber-600"
+        fill="none"
+        viewBox="0 0 24 24"
+        stroke="currentColor"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth={2}
+          d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"
+        />
+      </svg>
+      <div className="flex-1 text-sm">
+        <p className="font-semibold text-amber-900">
+          Showing offline results - {title.toLowerCase()}
         </p>
-
-        <div className="space-y-1 text-xs text-gray-600">
-          {first_publish_year && <p>Published: {first_publish_year}</p>}
-
-          {publisher.length > 0 && <p>Publisher: {publisher[0]}</p>}
-
-          {edition_count && <p>Editions: {edition_count}</p>}
-
-          {language.length > 0 && (
-            <p>Language: {language.slice(0, 2).join(", ")}</p>
-          )}
-        </div>
-
-        {isbn.length > 0 && (
-          <div className="pt-2 border-t border-gray-200">
-            <p className="text-xs text-gray-600">ISBN: {isbn[0]}</p>
-          </div>
-        )}
-      </div>
-    </div>
-  );
-};
-
-const PaginationControls = ({
-  currentPage,
-  totalPages,
-  onPageChange,
-  isPageTurning,
-  totalBooks,
-  currentRange,
-}) => {
-  const getPageNumbers = () => {
-    const pages = [];
-    const maxVisiblePages = 5;
-
-    if (totalPages <= maxVisiblePages) {
-      for (let i = 1; i <= totalPages; i++) {
-        pages.push(i);
-      }
-    } else {
-      // Always show first page
-      pages.push(1);
-
-      let startPage = Math.max(2, currentPage - 1);
-      let endPage = Math.min(totalPages - 1, currentPage + 1);
-
-      // Add ellipsis if needed
-      if (startPage > 2) {
-        pages.push("...");
-      }
-
-      // Add middle pages
-      for (let i = startPage; i <= endPage; i++) {
-        if (i !== 1 && i !== totalPages) {
-          pages.push(i);
-        }
-      }
-
-      // Add ellipsis if needed
-      if (endPage < totalPages - 1) {
-        pages.push("...");
-      }
-
-      // Always show last page
-      if (totalPages > 1) {
-        pages.push(totalPages);
-      }
-    }
-
-    return pages;
-  };
-
-  return (
-    <div className="mt-4 md:mt-8 bg-gray-50 rounded-xl p-3 md:p-6 border border-gray-200">
-      {/* Results Info */}
-      <div className="text-center mb-6">
-        <p className="text-sm text-gray-600">
-          Showing{" "}
-          <span className="font-semibold text-black">
-            {currentRange.start}-{currentRange.end}
-          </span>{" "}
-          of <span className="font-semibold text-black">{totalBooks}</span>{" "}
-          books
+        <p className="text-amber-800">
+          {message} These are a few built-in classics, not live search results.
         </p>
       </div>
-
-      {/* Pagination Controls */}
-      <div className="flex items-center justify-center space-x-2">
-        {/* Previous Button */}
-        <button
-          onClick={() => onPageChange(currentPage - 1)}
-          disabled={currentPage === 1 || isPageTurning}
-          className="pagination-button flex items-center space-x-2"
-        >
-          <svg
-            className="w-4 h-4"
-            fill="none"
-            viewBox="0 0 24 24"
-            stroke="currentColor"
-          >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth={2}
-              d="M15 19l-7-7 7-7"
-            />
-          </svg>
-          <span className="hidden sm:inline">Previous</span>
-        </button>
-
-        {/* Page Numbers */}
-        <div className="flex items-center space-x-1">
-          {getPageNumbers().map((page, index) => {
-            if (page === "...") {
-              return (
-                <span
-                  key={`ellipsis-${index}`}
-                  className="px-3 py-2 text-gray-500"
-                >
-                  ...
-                </span>
-              );
-            }
-
-            const isCurrentPage = page === currentPage;
-            return (
-              <button
-                key={page}
-                onClick={() => onPageChange(page)}
-                disabled={isPageTurning}
-                className={`pagination-button ${
-                  isCurrentPage ? "pagination-current" : ""
-                }`}
-              >
-                {page}
-              </button>
-            );
-          })}
-        </div>
-
-        {/* Next Button */}
+      {onRetry && (
         <button
-          onClick={() => onPageChange(currentPage + 1)}
-          disabled={currentPage === totalPages || isPageTurning}
-          className="pagination-button flex items-center space-x-2"
+          onClick={onRetry}
+          className="px-4 py-2 text-sm bg-amber-600 text-white rounded-md hover:bg-amber-700 focus:outline-none focus:ring-2 focus:ring-amber-500 focus:ring-offset-2 transition-colors"
         >
-          <span className="hidden sm:inline">Next</span>
-          <svg
-            className="w-4 h-4"
-            fill="none"
-            viewBox="0 0 24 24"
-            stroke="currentColor"
-          >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth={2}
-              d="M9 5l7 7-7 7"
-            />
-          </svg>
+          Retry
         </button>
-      </div>
-
-      {/* Page Turning Animation Indicator */}
-      {isPageTurning && (
-        <div className="flex items-center justify-center mt-4">
-          <div className="flex items-center space-x-2 text-gray-500">
-            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-gray-500"></div>
-            <span className="text-sm">Turning page...</span>
-          </div>
-        </div>
-      )}
-    </div>
-  );
-};
-
-// Super fast BookCover component - minimal loading time
-const BookCover = ({ coverId, title, className = "" }) => {
-  const [currentSrc, setCurrentSrc] = useState(null);
-  const [hasError, setHasError] = useState(false);
-
-  useEffect(() => {
-    if (!coverId || coverId === -1) {
-      setHasError(true);
-      return;
-    }
-
-    // Get small size URL for fastest loading
-    const coverUrl = getCoverUrl(coverId, "S");
-
-    if (!coverUrl) {
-      setHasError(true);
-      return;
-    }
-
-    // Set immediately and let browser handle loading
-    setCurrentSrc(coverUrl);
-    setHasError(false);
-  }, [coverId]);
-
-  const handleImageError = () => {
-    console.log(`Image display error for coverId: ${coverId}`);
-    setHasError(true);
-    setCurrentSrc(null);
-  };
-
-  if (hasError || !coverId || coverId === -1) {
-    return (
-      <div className={`${className} relative`}>
-        <div className="w-full h-48 bg-linear-to-br from-gray-100 to-gray-200 rounded-md flex items-center justify-center shadow-sm">
-          <div className="text-center text-gray-500 p-4">
-            <svg
-              className="w-12 h-12 mx-auto mb-2"
-              fill="currentColor"
-              viewBox="0 0 24 24"
-            >
-              <path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zM9 17l2.5-3.15L14 17H9zm10-1h-5l-2-2.5L10 17H5l3.5-4.5 1.5 1.8L12 11l5 5z" />
-            </svg>
-            <div className="text-xs font-medium text-gray-600">
-              {title
-                ? title.substring(0, 20) + (title.length > 20 ? "..." : "")
-                : "No Cover"}
-            </div>
-            <div className="text-xs text-gray-400 mt-1">Available</div>
-          </div>
-        </div>
-      </div>
-    );
-  }
-
-  return (
-    <div className={`${className} relative`}>
-      {currentSrc && !hasError ? (
-        <img
-          src={currentSrc}
-          alt={`Cover of ${title || "Book"}`}
-          className="w-full h-48 object-cover rounded-md bg-gray-100 shadow-sm transition-opacity duration-200"
-          onError={() => setHasError(true)}
-          loading="lazy"
-          decoding="async"
-        />
-      ) : (
-        // Show placeholder immediately for faster display
-        <div className="w-full h-48 bg-gray-100 rounded-md flex items-center justify-center shadow-sm">
-          <div className="text-center text-gray-400 p-3">
-            <svg
-              className="w-8 h-8 mx-auto mb-1"
-              fill="currentColor"
-              viewBox="0 0 24 24"
-            >
-              <path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2z" />
-            </svg>
-            <div className="text-xs font-medium">No Cover</div>
-          </div>
-        </div>
       )}
     </div>
   );
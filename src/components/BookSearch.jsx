@@ -1,42 +1,176 @@
-import { useState, useCallback, useRef } from "react";
+import { useState, useCallback, useRef, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import SuggestInput from "./SuggestInput";
+import SearchHistoryMenu from "./SearchHistoryMenu";
+import {
+  getProviders,
+  isValidIsbn,
+  normalizeIsbn,
+  normalizeSearchParams,
+  resolveSearch,
+  formatLanguage,
+  parseQuery,
+  removeQueryTerm,
+  getEnabledProviderIds,
+  setEnabledProviderIds,
+  clearCache,
+} from "../services/bookService";
 
-const BookSearch = ({ onSearch, loading }) => {
-  const [searchParams, setSearchParams] = useState({
-    title: "",
-    author: "",
-    subject: "",
-  });
+const EMPTY_SEARCH = {
+  title: "",
+  author: "",
+  subject: "",
+  q: "",
+  publisher: "",
+  language: "",
+  isbn: "",
+  yearFrom: "",
+  yearTo: "",
+  hasFulltext: false,
+  hasCover: false,
+};
+
+// Languages offered in the advanced panel, as Open Library MARC codes
+const SEARCH_LANGUAGES = [
+  "eng",
+  "fre",
+  "ger",
+  "spa",
+  "ita",
+  "por",
+  "rus",
+  "jpn",
+  "chi",
+  "ara",
+  "dut",
+  "swe",
+  "pol",
+  "hin",
+];
+
+const ADVANCED_FIELDS = [
+  "q",
+  "publisher",
+  "language",
+  "isbn",
+  "yearFrom",
+  "yearTo",
+  "hasFulltext",
+  "hasCover",
+];
+
+// Fields whose changes refine the current search straight away. Typed text
+// waits for the user to submit, so suggestions don't reload the grid.
+const INSTANT_FIELDS = ["language", "hasFulltext", "hasCover"];
+
+const inputClassName =
+  "w-full px-3 py-2 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 placeholder-gray-500";
+
+// The first free-text value holding a valid ISBN, if any. The dedicated ISBN
+// field is already searched as an ISBN.
+const findIsbn = ({ title, author, subject, q }, query) =>
+  [query, title, author, subject, q].find((value) => isValidIsbn(value));
+
+// Chip text for a parsed query term
+const describeQueryTerm = ({ field, value, negated }) => {
+  let label;
+
+  switch (field) {
+    case "keyword":
+      label = value;
+      break;
+    case "year":
+      label =
+        value.from === value.to
+          ? `year ${value.from}`
+          : value.from === undefined
+            ? `year ≤ ${value.to}`
+            : value.to === undefined
+              ? `year ≥ ${value.from}`
+              : `year ${value.from}–${value.to}`;
+      break;
+    case "has":
+      label = value === "cover" ? "has cover" : "has full text";
+      break;
+    case "lang":
+    case "language":
+      label = `language: ${formatLanguage(value)}`;
+      break;
+    default:
+      label = `${field}: ${value}`;
+  }
+
+  return negated ? `not ${label}` : label;
+};
+
+// The form fields and query box are controlled by HomePage, which keeps them
+// in the URL and lets facets add terms to the query. onSearch receives the
+// form fields and the query text separately, plus the sort order when a saved
+// or recent search is re-run.
+const BookSearch = ({
+  onSearch,
+  loading,
+  formParams,
+  onFormParamsChange,
+  query,
+  onQueryChange,
+  sortBy = "relevance",
+}) => {
+  const navigate = useNavigate();
+  const searchParams = { ...EMPTY_SEARCH, ...formParams };
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [enabledProviders, setEnabledProviders] = useState(
+    getEnabledProviderIds
+  );
+  const [cacheCleared, setCacheCleared] = useState(false);
 
   // Debounce ref for auto-search
   const debounceRef = useRef(null);
 
-  // Debounced search function
+  // Drop a pending auto-search when the form unmounts
+  useEffect(() => () => clearTimeout(debounceRef.current), []);
+
+  // Debounced search function. Each call supersedes the previous one, and
+  // HomePage aborts any request still in flight when the new search starts.
   const debouncedSearch = useCallback(
-    (params) => {
+    (params, queryText) => {
       if (debounceRef.current) {
         clearTimeout(debounceRef.current);
       }
 
       debounceRef.current = setTimeout(() => {
-        if (params.title || params.author || params.subject) {
-          onSearch(params);
+        if (resolveSearch({ formParams: params, query: queryText })) {
+          onSearch(params, queryText);
         }
       }, 500); // 500ms delay
     },
     [onSearch]
   );
 
+  const parsedQuery = parseQuery(query);
+  const hasQueryErrors = parsedQuery.errors.length > 0;
+  const canSearch = Boolean(resolveSearch({ formParams: searchParams, query }));
+
   const handleChange = (field, value) => {
     const newParams = {
       ...searchParams,
       [field]: value,
     };
 
-    setSearchParams(newParams);
+    onFormParamsChange(newParams);
+
+    if (INSTANT_FIELDS.includes(field) && !hasQueryErrors) {
+      debouncedSearch(newParams, query);
+    }
+  };
+
+  // Removing a chip refines the search like a facet; typing waits for submit
+  const handleRemoveTerm = (term) => {
+    const value = removeQueryTerm(query, term);
+    onQueryChange(value);
 
-    // Auto-search as user types (debounced)
-    if (value.length >= 3) {
-      debouncedSearch(newParams);
+    if (parseQuery(value).errors.length === 0) {
+      debouncedSearch(searchParams, value);
     }
   };
 
@@ -48,29 +182,140 @@ const BookSearch = ({ onSearch, loading }) => {
       clearTimeout(debounceRef.current);
     }
 
-    // At least one field must be filled
-    if (!searchParams.title && !searchParams.author && !searchParams.subject) {
+    // At least one field must be filled, and the query must parse
+    if (!canSearch) {
       return;
     }
 
-    onSearch(searchParams);
+    onSearch(searchParams, query);
+  };
+
+  const handleProviderToggle = (providerId) => {
+    const next = enabledProviders.includes(providerId)
+      ? enabledProviders.filter((id) => id !== providerId)
+      : [...enabledProviders, providerId];
+
+    // Keep at least one source turned on
+    if (next.length === 0) return;
+
+    setEnabledProviders(next);
+    setEnabledProviderIds(next);
+
+    // Re-run the current search against the new set of sources
+    if (canSearch) {
+      onSearch(searchParams, query);
+    }
+  };
+
+  const handleClearCache = async () => {
+    await clearCache();
+    setCacheCleared(true);
+    setTimeout(() => setCacheCleared(false), 2000);
+  };
+
+  const handleIsbnLookup = () => {
+    clearTimeout(debounceRef.current);
+    navigate(`/isbn/${normalizeIsbn(detectedIsbn)}`);
+  };
+
+  // Restore a recent or saved search into the form and run it
+  const handleRunSearch = (search) => {
+    clearTimeout(debounceRef.current);
+    onFormParamsChange(search.formParams);
+    onQueryChange(search.query);
+    onSearch(search.formParams, search.query, search.sort);
   };
 
   const handleClear = () => {
-    setSearchParams({
-      title: "",
-      author: "",
-      subject: "",
-    });
+    clearTimeout(debounceRef.current);
+    onFormParamsChange({});
+    onQueryChange("");
   };
 
+  const detectedIsbn = findIsbn(searchParams, query);
+  const activeAdvancedCount = ADVANCED_FIELDS.filter(
+    (field) => searchParams[field]
+  ).length;
+
+  const currentSearch = canSearch
+    ? {
+        formParams: normalizeSearchParams(searchParams),
+        query: query.trim(),
+        sort: sortBy,
+      }
+    : null;
+
   return (
     <div className="bg-white rounded-lg shadow-lg p-4 md:p-6 border border-gray-200 animate-slide-up">
-      <h2 className="text-lg md:text-xl font-semibold text-black mb-3 md:mb-4">
-        Search Books
-      </h2>
+      <div className="flex items-center justify-between gap-3 mb-3 md:mb-4">
+        <h2 className="text-lg md:text-xl font-semibold text-black">
+          Search Books
+        </h2>
+        <SearchHistoryMenu
+          currentSearch={currentSearch}
+          onRunSearch={handleRunSearch}
+          disabled={loading}
+        />
+      </div>
 
       <form onSubmit={handleSubmit} className="space-y-3 md:space-y-4">
+        {/* Query Box */}
+        <div>
+          <label
+            htmlFor="query"
+            className="block text-sm font-medium text-black mb-1"
+          >
+            Query
+          </label>
+          <input
+            type="text"
+            id="query"
+            value={query}
+            onChange={(e) => onQueryChange(e.target.value)}
+            placeholder="e.g., author:tolkien -hobbit year:1950..1970 lang:fre"
+            aria-invalid={hasQueryErrors}
+            aria-describedby="query-feedback"
+            className={`${inputClassName} font-mono text-sm ${
+              hasQueryErrors ? "border-red-400 focus:ring-red-500" : ""
+            }`}
+          />
+
+          <div id="query-feedback">
+            {hasQueryErrors && (
+              <ul className="mt-1 space-y-0.5 text-sm text-red-600">
+                {parsedQuery.errors.map((error) => (
+                  <li key={`${error.start}-${error.raw}`}>{error.message}</li>
+                ))}
+              </ul>
+            )}
+
+            {parsedQuery.terms.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {parsedQuery.terms.map((term) => (
+                  <span
+                    key={`${term.start}-${term.raw}`}
+                    className={`inline-flex items-center gap-1 pl-3 pr-1 py-0.5 rounded-full text-sm border ${
+                      term.negated
+                        ? "bg-red-50 text-red-700 border-red-200"
+                        : "bg-blue-50 text-blue-700 border-blue-200"
+                    }`}
+                  >
+                    {describeQueryTerm(term)}
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveTerm(term)}
+                      aria-label={`Remove ${describeQueryTerm(term)}`}
+                      className="w-5 h-5 rounded-full hover:bg-black/10 leading-none"
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
         <div className="grid grid-cols-1 md:grid-cols-3 gap-3 md:gap-4">
           {/* Title Search */}
           <div>
@@ -80,13 +325,13 @@ const BookSearch = ({ onSearch, loading }) => {
             >
               Book Title
             </label>
-            <input
-              type="text"
+            <SuggestInput
               id="title"
+              field="title"
               value={searchParams.title}
-              onChange={(e) => handleChange("title", e.target.value)}
+              onChange={(value) => handleChange("title", value)}
               placeholder="e.g., Harry Potter"
-              className="w-full px-3 py-2 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 placeholder-gray-500"
+              className={inputClassName}
             />
           </div>
 
@@ -98,13 +343,13 @@ const BookSearch = ({ onSearch, loading }) => {
             >
               Author
             </label>
-            <input
-              type="text"
+            <SuggestInput
               id="author"
+              field="author"
               value={searchParams.author}
-              onChange={(e) => handleChange("author", e.target.value)}
+              onChange={(value) => handleChange("author", value)}
               placeholder="e.g., J.K. Rowling"
-              className="w-full px-3 py-2 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 placeholder-gray-500"
+              className={inputClassName}
             />
           </div>
 
@@ -116,27 +361,200 @@ const BookSearch = ({ onSearch, loading }) => {
             >
               Subject/Genre
             </label>
-            <input
-              type="text"
+            <SuggestInput
               id="subject"
+              field="subject"
               value={searchParams.subject}
-              onChange={(e) => handleChange("subject", e.target.value)}
+              onChange={(value) => handleChange("subject", value)}
               placeholder="e.g., Science Fiction"
-              className="w-full px-3 py-2 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 placeholder-gray-500"
+              className={inputClassName}
             />
           </div>
         </div>
 
+        {/* Advanced Search */}
+        <div>
+          <button
+            type="button"
+            onClick={() => setShowAdvanced((show) => !show)}
+            aria-expanded={showAdvanced}
+            aria-controls="advanced-search"
+            className="flex items-center space-x-1 text-sm font-medium text-blue-600 hover:text-blue-800"
+          >
+            <svg
+              className={`w-4 h-4 transition-transform ${
+                showAdvanced ? "rotate-90" : ""
+              }`}
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M9 5l7 7-7 7"
+              />
+            </svg>
+            <span>
+              Advanced
+              {activeAdvancedCount > 0 && ` (${activeAdvancedCount} active)`}
+            </span>
+          </button>
+
+          {showAdvanced && (
+            <div
+              id="advanced-search"
+              className="mt-3 p-3 md:p-4 bg-gray-50 border border-gray-200 rounded-md space-y-3 animate-fade-in"
+            >
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 md:gap-4">
+                <div>
+                  <label
+                    htmlFor="q"
+                    className="block text-sm font-medium text-black mb-1"
+                  >
+                    Keywords
+                  </label>
+                  <input
+                    type="text"
+                    id="q"
+                    value={searchParams.q}
+                    onChange={(e) => handleChange("q", e.target.value)}
+                    placeholder="Any words, in any field"
+                    className={inputClassName}
+                  />
+                </div>
+
+                <div>
+                  <label
+                    htmlFor="publisher"
+                    className="block text-sm font-medium text-black mb-1"
+                  >
+                    Publisher
+                  </label>
+                  <input
+                    type="text"
+                    id="publisher"
+                    value={searchParams.publisher}
+                    onChange={(e) => handleChange("publisher", e.target.value)}
+                    placeholder="e.g., Penguin"
+                    className={inputClassName}
+                  />
+                </div>
+
+                <div>
+                  <label
+                    htmlFor="language"
+                    className="block text-sm font-medium text-black mb-1"
+                  >
+                    Language
+                  </label>
+                  <select
+                    id="language"
+                    value={searchParams.language}
+                    onChange={(e) => handleChange("language", e.target.value)}
+                    className={inputClassName}
+                  >
+                    <option value="">Any language</option>
+                    {SEARCH_LANGUAGES.map((code) => (
+                      <option key={code} value={code}>
+                        {formatLanguage(code)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label
+                    htmlFor="isbn"
+                    className="block text-sm font-medium text-black mb-1"
+                  >
+                    ISBN
+                  </label>
+                  <input
+                    type="text"
+                    id="isbn"
+                    value={searchParams.isbn}
+                    onChange={(e) => handleChange("isbn", e.target.value)}
+                    placeholder="e.g., 978-0-14-032872-1"
+                    className={inputClassName}
+                  />
+                </div>
+              </div>
+
+              <div className="flex flex-wrap items-end gap-3 md:gap-6">
+                <fieldset>
+                  <legend className="block text-sm font-medium text-black mb-1">
+                    First published
+                  </legend>
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="number"
+                      aria-label="From year"
+                      value={searchParams.yearFrom}
+                      onChange={(e) => handleChange("yearFrom", e.target.value)}
+                      placeholder="From"
+                      className={`${inputClassName} w-28`}
+                    />
+                    <span className="text-gray-500">–</span>
+                    <input
+                      type="number"
+                      aria-label="To year"
+                      value={searchParams.yearTo}
+                      onChange={(e) => handleChange("yearTo", e.target.value)}
+                      placeholder="To"
+                      className={`${inputClassName} w-28`}
+                    />
+                  </div>
+                </fieldset>
+
+                <label className="flex items-center space-x-2 text-sm text-gray-700 pb-2">
+                  <input
+                    type="checkbox"
+                    checked={searchParams.hasFulltext}
+                    onChange={(e) =>
+                      handleChange("hasFulltext", e.target.checked)
+                    }
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span>Has full text</span>
+                </label>
+
+                <label className="flex items-center space-x-2 text-sm text-gray-700 pb-2">
+                  <input
+                    type="checkbox"
+                    checked={searchParams.hasCover}
+                    onChange={(e) => handleChange("hasCover", e.target.checked)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span>Has cover</span>
+                </label>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* ISBN Lookup Offer */}
+        {detectedIsbn && (
+          <div className="flex flex-wrap items-center justify-between gap-3 p-3 bg-blue-50 border border-blue-200 rounded-md">
+            <p className="text-sm text-blue-900">
+              <strong>{detectedIsbn.trim()}</strong> looks like an ISBN.
+            </p>
+            <button
+              type="button"
+              onClick={handleIsbnLookup}
+              className="px-4 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors"
+            >
+              Go to this edition
+            </button>
+          </div>
+        )}
+
         {/* Action Buttons */}
         <div className="flex flex-wrap gap-3 pt-2">
           <button
             type="submit"
-            disabled={
-              loading ||
-              (!searchParams.title &&
-                !searchParams.author &&
-                !searchParams.subject)
-            }
+            disabled={loading || !canSearch}
             className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
           >
             {loading ? "Searching..." : "Search Books"}
@@ -150,14 +568,50 @@ const BookSearch = ({ onSearch, loading }) => {
           >
             Clear
           </button>
+
+          <button
+            type="button"
+            onClick={handleClearCache}
+            disabled={loading}
+            className="ml-auto px-3 py-2 text-sm text-gray-600 hover:text-black underline focus:outline-none focus:ring-2 focus:ring-gray-500 rounded-md disabled:opacity-50 transition-colors"
+            title="Remove saved search results and book details from this browser"
+          >
+            {cacheCleared ? "Cache cleared" : "Clear cache"}
+          </button>
         </div>
+
+        {/* Search Sources */}
+        <fieldset className="flex flex-wrap items-center gap-4 pt-1">
+          <legend className="sr-only">Search sources</legend>
+          <span className="text-sm font-medium text-black">Sources:</span>
+          {getProviders().map((provider) => (
+            <label
+              key={provider.id}
+              className="flex items-center space-x-2 text-sm text-gray-700"
+            >
+              <input
+                type="checkbox"
+                checked={enabledProviders.includes(provider.id)}
+                onChange={() => handleProviderToggle(provider.id)}
+                disabled={loading}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span>{provider.name}</span>
+            </label>
+          ))}
+        </fieldset>
       </form>
 
       {/* Search Tips */}
       <div className="mt-4 p-3 bg-gray-100 rounded-md border border-gray-200">
         <p className="text-sm text-gray-700">
           <strong>Tips:</strong> You can search by title, author, subject, or
-          any combination. Use specific terms for better results.
+          any combination. Suggestions appear as you type - use ↑/↓ and Enter to
+          pick one, then press Search Books. Paste an ISBN to jump straight to
+          that edition. The query box understands <code>field:value</code>{" "}
+          (title, author, subject, publisher, lang, isbn),{" "}
+          <code>year:1950..1970</code>, <code>has:cover</code>,{" "}
+          <code>has:fulltext</code> and <code>-word</code> to exclude.
         </p>
       </div>
     </div>
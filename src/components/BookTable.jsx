@@ -0,0 +1,389 @@
+import { useState, useRef, useEffect, useLayoutEffect } from "react";
+import { Link } from "react-router-dom";
+import {
+  getBookId,
+  formatAuthors,
+  formatLanguage,
+  getTableColumnSettings,
+  setTableColumnSettings,
+} from "../services/bookService";
+
+const MIN_COLUMN_WIDTH = 60; // px
+const KEYBOARD_RESIZE_STEP = 10; // px per arrow key press
+const ESTIMATED_ROW_HEIGHT = 37; // px, until a row has been measured
+const OVERSCAN_ROWS = 20; // rows mounted above and below the visible ones
+
+// Table columns in display order. `value` is what the column shows and sorts by.
+// Title holds the link to each book, so it can't be hidden.
+const COLUMNS = [
+  {
+    id: "title",
+    label: "Title",
+    width: 280,
+    value: (book) => book.title || "Untitled",
+    alwaysVisible: true,
+  },
+  {
+    id: "authors",
+    label: "Authors",
+    width: 200,
+    value: (book) => formatAuthors(book.author_name),
+  },
+  {
+    id: "year",
+    label: "Year",
+    width: 80,
+    value: (book) => book.first_publish_year,
+    numeric: true,
+  },
+  {
+    id: "editions",
+    label: "Editions",
+    width: 90,
+    value: (book) => book.edition_count,
+    numeric: true,
+  },
+  {
+    id: "language",
+    label: "Language",
+    width: 150,
+    value: (book) =>
+      (book.language || []).slice(0, 3).map(formatLanguage).join(", "),
+  },
+  {
+    id: "isbn",
+    label: "ISBN",
+    width: 150,
+    value: (book) => book.isbn?.[0] || "",
+  },
+];
+
+// Missing values sort last whichever way the column is sorted
+const compareValues = (a, b, direction, numeric) => {
+  const aMissing = a === undefined || a === null || a === "";
+  const bMissing = b === undefined || b === null || b === "";
+  if (aMissing || bMissing) return aMissing - bMissing;
+  return (numeric ? a - b : String(a).localeCompare(String(b))) * direction;
+};
+
+// Results as a table with sortable, resizable and hideable columns. Column
+// sorting reorders the rows on screen; the layout is saved per browser.
+// With `virtualized` only the rows near the viewport are mounted - cells
+// never wrap, so every row has the same height.
+const BookTable = ({ books, virtualized = false }) => {
+  const [settings, setSettings] = useState(getTableColumnSettings);
+  const [sort, setSort] = useState(null); // { columnId, direction }
+  const [showColumnMenu, setShowColumnMenu] = useState(false);
+  const columnMenuRef = useRef(null);
+  const tbodyRef = useRef(null);
+  const [rowHeight, setRowHeight] = useState(ESTIMATED_ROW_HEIGHT);
+  const [visibleRange, setVisibleRange] = useState({
+    start: 0,
+    end: OVERSCAN_ROWS * 2,
+  });
+  const [focusedRow, setFocusedRow] = useState(null);
+
+  // Close the column menu when clicking elsewhere
+  useEffect(() => {
+    if (!showColumnMenu) return;
+
+    const handleMouseDown = (e) => {
+      if (!columnMenuRef.current?.contains(e.target)) setShowColumnMenu(false);
+    };
+    document.addEventListener("mousedown", handleMouseDown);
+    return () => document.removeEventListener("mousedown", handleMouseDown);
+  }, [showColumnMenu]);
+
+  // Track which rows are on screen, re-rendering only when that changes
+  useEffect(() => {
+    if (!virtualized) return;
+
+    let frame = null;
+    const update = () => {
+      frame = null;
+      const top = -tbodyRef.current.getBoundingClientRect().top;
+      const start = Math.max(0, Math.floor(top / rowHeight) - OVERSCAN_ROWS);
+      const end =
+        Math.ceil((top + window.innerHeight) / rowHeight) + OVERSCAN_ROWS;
+      setVisibleRange((prev) =>
+        prev.start === start && prev.end === end ? prev : { start, end }
+      );
+    };
+    const scheduleUpdate = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    window.addEventListener("scroll", scheduleUpdate, { passive: true });
+    window.addEventListener("resize", scheduleUpdate);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", scheduleUpdate);
+      window.removeEventListener("resize", scheduleUpdate);
+    };
+  }, [virtualized, rowHeight, books.length]);
+
+  // One measurement covers every row: the distance between two of them
+  useLayoutEffect(() => {
+    if (!virtualized) return;
+
+    const [first, second] = tbodyRef.current.querySelectorAll("[data-row]");
+    if (!first || !second) return;
+
+    const measured = second.offsetTop - first.offsetTop;
+    if (measured > 0 && measured !== rowHeight) setRowHeight(measured);
+  }, [virtualized, rowHeight, books]);
+
+  const updateSettings = (next) => {
+    setSettings(next);
+    setTableColumnSettings(next);
+  };
+
+  const isHidden = (column) =>
+    !column.alwaysVisible && settings.hidden.includes(column.id);
+  const visibleColumns = COLUMNS.filter((column) => !isHidden(column));
+  const columnWidth = (column) => settings.widths[column.id] ?? column.width;
+
+  const sortColumn = COLUMNS.find((column) => column.id === sort?.columnId);
+  const rows = sortColumn
+    ? [...books].sort((a, b) =>
+        compareValues(
+          sortColumn.value(a),
+          sortColumn.value(b),
+          sort.direction === "desc" ? -1 : 1,
+          sortColumn.numeric
+        )
+      )
+    : books;
+
+  // Mount the visible rows, plus the one holding keyboard focus so tabbing
+  // through the links keeps working while the page scrolls
+  let startRow = 0;
+  let endRow = rows.length;
+  if (virtualized) {
+    startRow = Math.min(visibleRange.start, rows.length);
+    endRow = Math.min(visibleRange.end, rows.length);
+    if (focusedRow !== null && focusedRow < rows.length) {
+      startRow = Math.min(startRow, focusedRow);
+      endRow = Math.max(endRow, focusedRow + 1);
+    }
+  }
+
+  const handleRowFocus = (e) => {
+    const row = e.target.closest("[data-row]");
+    if (row) setFocusedRow(Number(row.dataset.row));
+  };
+
+  const handleRowBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setFocusedRow(null);
+  };
+
+  // Ascending, then descending, then back to the results order
+  const handleSort = (columnId) => {
+    if (sort?.columnId !== columnId) {
+      setSort({ columnId, direction: "asc" });
+    } else if (sort.direction === "asc") {
+      setSort({ columnId, direction: "desc" });
+    } else {
+      setSort(null);
+    }
+  };
+
+  const handleToggleColumn = (columnId) => {
+    const hidden = settings.hidden.includes(columnId)
+      ? settings.hidden.filter((id) => id !== columnId)
+      : [...settings.hidden, columnId];
+
+    updateSettings({ ...settings, hidden });
+  };
+
+  const resizeColumn = (column, width) => {
+    const next = {
+      ...settings,
+      widths: {
+        ...settings.widths,
+        [column.id]: Math.max(MIN_COLUMN_WIDTH, Math.round(width)),
+      },
+    };
+    setSettings(next);
+    return next;
+  };
+
+  // Drag a header's right edge; the width is saved when the drag ends
+  const handleResizeStart = (e, column) => {
+    e.preventDefault();
+    const startX = e.clientX;
+    const startWidth = columnWidth(column);
+    let latest = settings;
+
+    const handleMove = (moveEvent) => {
+      latest = resizeColumn(column, startWidth + moveEvent.clientX - startX);
+    };
+    const handleUp = () => {
+      window.removeEventListener("pointermove", handleMove);
+      window.removeEventListener("pointerup", handleUp);
+      setTableColumnSettings(latest);
+    };
+
+    window.addEventListener("pointermove", handleMove);
+    window.addEventListener("pointerup", handleUp);
+  };
+
+  const handleResizeKeyDown = (e, column) => {
+    const step =
+      e.key === "ArrowRight"
+        ? KEYBOARD_RESIZE_STEP
+        : e.key === "ArrowLeft"
+          ? -KEYBOARD_RESIZE_STEP
+          : 0;
+    if (!step) return;
+
+    e.preventDefault();
+    setTableColumnSettings(resizeColumn(column, columnWidth(column) + step));
+  };
+
+  return (
+    <div>
+      {/* Column Visibility */}
+      <div className="flex justify-end mb-2">
+        <div ref={columnMenuRef} className="relative">
+          <button
+            type="button"
+            onClick={() => setShowColumnMenu((show) => !show)}
+            aria-expanded={showColumnMenu}
+            className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            Columns
+          </button>
+
+          {showColumnMenu && (
+            <fieldset className="absolute right-0 z-20 mt-1 w-44 bg-white border border-gray-200 rounded-md shadow-lg p-2 space-y-1">
+              <legend className="sr-only">Visible columns</legend>
+              {COLUMNS.map((column) => (
+                <label
+                  key={column.id}
+                  className="flex items-center space-x-2 text-sm text-gray-700"
+                >
+                  <input
+                    type="checkbox"
+                    checked={!isHidden(column)}
+                    disabled={column.alwaysVisible}
+                    onChange={() => handleToggleColumn(column.id)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 disabled:opacity-50"
+                  />
+                  <span>{column.label}</span>
+                </label>
+              ))}
+            </fieldset>
+          )}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto border border-gray-200 rounded-md">
+        <table
+          aria-rowcount={rows.length + 1}
+          className="table-fixed w-max min-w-full text-sm text-left"
+        >
+          <colgroup>
+            {visibleColumns.map((column) => (
+              <col key={column.id} style={{ width: columnWidth(column) }} />
+            ))}
+          </colgroup>
+          <thead className="bg-gray-50 text-gray-700">
+            <tr aria-rowindex={1}>
+              {visibleColumns.map((column) => (
+                <th
+                  key={column.id}
+                  scope="col"
+                  aria-sort={
+                    sort?.columnId === column.id
+                      ? sort.direction === "asc"
+                        ? "ascending"
+                        : "descending"
+                      : "none"
+                  }
+                  className="relative px-3 py-2 font-semibold border-b border-gray-200"
+                >
+                  <button
+                    type="button"
+                    onClick={() => handleSort(column.id)}
+                    className="flex items-center gap-1 w-full text-left hover:text-black focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                  >
+                    <span className="truncate">{column.label}</span>
+                    <span aria-hidden="true" className="text-xs text-gray-400">
+                      {sort?.columnId === column.id
+                        ? sort.direction === "asc"
+                          ? "▲"
+                          : "▼"
+                        : ""}
+                    </span>
+                  </button>
+                  <span
+                    role="separator"
+                    aria-orientation="vertical"
+                    aria-label={`Resize ${column.label} column`}
+                    aria-valuenow={columnWidth(column)}
+                    aria-valuemin={MIN_COLUMN_WIDTH}
+                    tabIndex={0}
+                    onPointerDown={(e) => handleResizeStart(e, column)}
+                    onKeyDown={(e) => handleResizeKeyDown(e, column)}
+                    className="absolute top-0 right-0 h-full w-2 cursor-col-resize hover:bg-blue-200 focus:bg-blue-300 focus:outline-none"
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody
+            ref={tbodyRef}
+            onFocus={handleRowFocus}
+            onBlur={handleRowBlur}
+            className="divide-y divide-gray-200"
+          >
+            {startRow > 0 && (
+              <tr aria-hidden="true" style={{ height: startRow * rowHeight }}>
+                <td colSpan={visibleColumns.length} className="p-0" />
+              </tr>
+            )}
+            {rows.slice(startRow, endRow).map((book, offset) => (
+              <tr
+                key={`${book.key}-${startRow + offset}`}
+                data-row={startRow + offset}
+                aria-rowindex={startRow + offset + 2}
+                className="hover:bg-gray-50"
+              >
+                {visibleColumns.map((column) => (
+                  <td
+                    key={column.id}
+                    className="px-3 py-2 text-gray-700 truncate"
+                    title={String(column.value(book) ?? "")}
+                  >
+                    {column.id === "title" ? (
+                      <Link
+                        to={`/book/${getBookId(book)}`}
+                        className="font-medium text-black hover:text-blue-700 hover:underline"
+                      >
+                        {column.value(book)}
+                      </Link>
+                    ) : (
+                      column.value(book)
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {endRow < rows.length && (
+              <tr
+                aria-hidden="true"
+                style={{ height: (rows.length - endRow) * rowHeight }}
+              >
+                <td colSpan={visibleColumns.length} className="p-0" />
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default BookTable;
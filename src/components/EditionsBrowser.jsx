@@ -0,0 +1,222 @@
+import { useState, useEffect } from "react";
+import PaginationControls from "./PaginationControls";
+import {
+  getWorkEditions,
+  getBookCoverUrl,
+  formatLanguage,
+  describeError,
+} from "../services/bookService";
+
+const EDITIONS_PER_PAGE = 10;
+
+const ALL = "all";
+
+const EditionsBrowser = ({ workId, selectedEditionId, onSelectEdition }) => {
+  const [editions, setEditions] = useState([]);
+  const [editionsInfo, setEditionsInfo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [languageFilter, setLanguageFilter] = useState(ALL);
+  const [formatFilter, setFormatFilter] = useState(ALL);
+  const [currentPage, setCurrentPage] = useState(1);
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    const fetchEditions = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const result = await getWorkEditions(workId);
+        if (isCancelled) return;
+        setEditions(result.docs);
+        setEditionsInfo(result);
+      } catch (err) {
+        if (isCancelled) return;
+        setError(describeError(err, "editions").message);
+      } finally {
+        if (!isCancelled) setLoading(false);
+      }
+    };
+
+    fetchEditions();
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [workId]);
+
+  const languages = [
+    ...new Set(editions.flatMap((edition) => edition.languages)),
+  ].sort((a, b) => formatLanguage(a).localeCompare(formatLanguage(b)));
+  const formats = [
+    ...new Set(
+      editions.map((edition) => edition.physical_format).filter(Boolean)
+    ),
+  ].sort();
+
+  const filteredEditions = editions.filter(
+    (edition) =>
+      (languageFilter === ALL || edition.languages.includes(languageFilter)) &&
+      (formatFilter === ALL || edition.physical_format === formatFilter)
+  );
+  const totalPages = Math.ceil(filteredEditions.length / EDITIONS_PER_PAGE);
+  const startIndex = (currentPage - 1) * EDITIONS_PER_PAGE;
+  const currentEditions = filteredEditions.slice(
+    startIndex,
+    startIndex + EDITIONS_PER_PAGE
+  );
+
+  const handleFilterChange = (setFilter) => (e) => {
+    setFilter(e.target.value);
+    setCurrentPage(1);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg border border-gray-200 p-4 md:p-8 mt-8 animate-slide-up">
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-black">Editions</h2>
+          {editionsInfo && (
+            <p className="text-sm text-gray-600 mt-1">
+              {editionsInfo.isTruncated
+                ? `Showing the first ${editions.length} of ${editionsInfo.numFound.toLocaleString()} editions`
+                : `${editions.length.toLocaleString()} editions`}
+              {filteredEditions.length !== editions.length &&
+                ` · ${filteredEditions.length} match the filters`}
+            </p>
+          )}
+        </div>
+
+        {editions.length > 0 && (
+          <div className="flex flex-wrap gap-3">
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <span>Language</span>
+              <select
+                value={languageFilter}
+                onChange={handleFilterChange(setLanguageFilter)}
+                className="px-3 py-2 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value={ALL}>All</option>
+                {languages.map((code) => (
+                  <option key={code} value={code}>
+                    {formatLanguage(code)}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <span>Format</span>
+              <select
+                value={formatFilter}
+                onChange={handleFilterChange(setFormatFilter)}
+                className="px-3 py-2 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value={ALL}>All</option>
+                {formats.map((format) => (
+                  <option key={format} value={format}>
+                    {format}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center p-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-black"></div>
+          <span className="ml-3 text-gray-700">Loading editions...</span>
+        </div>
+      ) : error ? (
+        <p className="text-red-600 text-center p-8">{error}</p>
+      ) : filteredEditions.length === 0 ? (
+        <p className="text-gray-700 text-center p-8">
+          No editions match these filters.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {currentEditions.map((edition) => (
+            <EditionRow
+              key={edition.key}
+              edition={edition}
+              isSelected={edition.id === selectedEditionId}
+              onSelect={() => onSelectEdition(edition)}
+            />
+          ))}
+        </ul>
+      )}
+
+      {totalPages > 1 && (
+        <PaginationControls
+          currentPage={currentPage}
+          totalPages={totalPages}
+          onPageChange={setCurrentPage}
+          isPageTurning={false}
+          totalBooks={filteredEditions.length}
+          currentRange={{
+            start: startIndex + 1,
+            end: startIndex + currentEditions.length,
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+const EditionRow = ({ edition, isSelected, onSelect }) => {
+  const coverUrl = getBookCoverUrl(edition, "S");
+  const details = [
+    edition.publishers[0],
+    edition.publish_date,
+    edition.physical_format,
+    edition.number_of_pages && `${edition.number_of_pages} pages`,
+    edition.languages.map(formatLanguage).join(", "),
+  ].filter(Boolean);
+
+  return (
+    <li
+      className={`flex items-center gap-4 py-3 px-2 rounded-md ${
+        isSelected ? "bg-blue-50" : ""
+      }`}
+    >
+      {coverUrl ? (
+        <img
+          src={coverUrl}
+          alt={`Cover of ${edition.title}`}
+          className="w-10 h-14 object-cover rounded bg-gray-100 shrink-0"
+          loading="lazy"
+        />
+      ) : (
+        <div className="w-10 h-14 bg-gray-100 rounded shrink-0" />
+      )}
+
+      <div className="flex-1 min-w-0">
+        <p className="font-medium text-black truncate">{edition.title}</p>
+        <p className="text-sm text-gray-600">{details.join(" · ")}</p>
+        {edition.isbn.length > 0 && (
+          <p className="text-xs text-gray-500 font-mono truncate">
+            ISBN {edition.isbn.join(", ")}
+          </p>
+        )}
+      </div>
+
+      <button
+        onClick={onSelect}
+        disabled={isSelected}
+        className={`px-3 py-1 text-sm rounded-md shrink-0 transition-colors ${
+          isSelected
+            ? "bg-blue-600 text-white cursor-default"
+            : "border border-gray-300 text-gray-700 hover:bg-gray-100"
+        }`}
+      >
+        {isSelected ? "Selected" : "Select"}
+      </button>
+    </li>
+  );
+};
+
+export default EditionsBrowser;
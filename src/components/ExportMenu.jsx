@@ -0,0 +1,102 @@
+import { useState, useEffect, useRef } from "react";
+import { useShelves } from "../context/useShelves";
+import {
+  EXPORT_FORMATS,
+  toExportRecord,
+  downloadExport,
+} from "../services/bookExport";
+
+// Dropdown that downloads a list of books in any export format, with the
+// reader's shelves, rating, review and notes for each book
+const ExportMenu = ({ books, title, disabled = false }) => {
+  const { shelves, getBookShelfIds, getAnnotation } = useShelves();
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking elsewhere or pressing Escape
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleMouseDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") setIsOpen(false);
+    };
+
+    document.addEventListener("mousedown", handleMouseDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", handleMouseDown);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [isOpen]);
+
+  const handleExport = (formatId) => {
+    const records = books.map((book) =>
+      toExportRecord(book, {
+        annotation: getAnnotation(book),
+        shelves: getBookShelfIds(book)
+          .map((shelfId) => shelves.find((shelf) => shelf.id === shelfId)?.name)
+          .filter(Boolean),
+      })
+    );
+    downloadExport(records, formatId, title);
+    setIsOpen(false);
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled || books.length === 0}
+        aria-expanded={isOpen}
+        aria-haspopup="true"
+        className="flex items-center space-x-1 px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 transition-colors"
+      >
+        <svg
+          className="w-4 h-4"
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+          />
+        </svg>
+        <span>Export</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-30 mt-2 w-64 bg-white border border-gray-200 rounded-lg shadow-lg p-2 text-left animate-fade-in">
+          <p className="px-2 py-1 text-xs text-gray-500">
+            {books.length.toLocaleString()}{" "}
+            {books.length === 1 ? "book" : "books"} from {title}
+          </p>
+          <ul>
+            {EXPORT_FORMATS.map((format) => (
+              <li key={format.id}>
+                <button
+                  type="button"
+                  onClick={() => handleExport(format.id)}
+                  className="w-full flex items-baseline justify-between gap-2 px-2 py-1.5 text-sm text-left rounded-md hover:bg-gray-100"
+                >
+                  <span className="font-medium text-black">{format.label}</span>
+                  <span className="text-xs text-gray-500">
+                    {format.description}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
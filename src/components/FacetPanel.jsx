@@ -0,0 +1,75 @@
+import { computeFacets, formatLanguage } from "../services/bookService";
+
+const AVAILABILITY_LABELS = {
+  cover: "Has cover",
+  fulltext: "Has ebook",
+};
+
+const formatFacetValue = (facetId, value) => {
+  switch (facetId) {
+    case "language":
+      return formatLanguage(value);
+    case "decade":
+      return `${value}s`;
+    case "availability":
+      return AVAILABILITY_LABELS[value];
+    default:
+      return value;
+  }
+};
+
+const FacetPanel = ({ books, activeTerms = [], onToggle, disabled }) => {
+  const facets = computeFacets(books);
+
+  if (facets.length === 0) return null;
+
+  return (
+    <aside className="md:w-56 shrink-0 space-y-4" aria-label="Refine results">
+      {facets.map((facet) => (
+        <div key={facet.id}>
+          <h3 className="text-sm font-semibold text-black mb-1">
+            {facet.label}
+          </h3>
+          <ul className="space-y-0.5">
+            {facet.values.map(({ value, count, term }) => {
+              const isActive = activeTerms.includes(term);
+
+              return (
+                <li key={term}>
+                  <button
+                    type="button"
+                    onClick={() => onToggle(term)}
+                    disabled={disabled}
+                    aria-pressed={isActive}
+                    title={term}
+                    className={`w-full flex items-center justify-between gap-2 px-2 py-1 rounded text-sm text-left transition-colors disabled:opacity-50 ${
+                      isActive
+                        ? "bg-blue-600 text-white"
+                        : "text-gray-700 hover:bg-gray-100"
+                    }`}
+                  >
+                    <span className="truncate">
+                      {formatFacetValue(facet.id, value)}
+                    </span>
+                    <span
+                      className={`shrink-0 text-xs ${
+                        isActive ? "text-blue-100" : "text-gray-500"
+                      }`}
+                    >
+                      {count}
+                    </span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      ))}
+      <p className="text-xs text-gray-500">
+        Counts cover the books on this page.
+      </p>
+    </aside>
+  );
+};
+
+export default FacetPanel;
@@ -1,4 +1,5 @@
 import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
 import headImage1 from "../assets/headimage.jpg";
 import headImage2 from "../assets/headimage2.jpg";
 import headImage3 from "../assets/headimage3.jpg";
@@ -165,8 +166,24 @@ const Hero = () => {
             </div>
           </div>
 
-          {/* Dark Mode Toggle */}
-          <DarkModeToggle />
+          <div className="flex items-center space-x-2 md:space-x-3">
+            {/* Personal Shelves */}
+            <Link
+              to="/shelves"
+              className="glass-morphism px-4 py-2 rounded-full text-sm font-medium text-gray-800 dark:text-white hover:scale-105 transition-all duration-300"
+            >
+              My Shelves
+            </Link>
+            <Link
+              to="/stats"
+              className="glass-morphism px-4 py-2 rounded-full text-sm font-medium text-gray-800 dark:text-white hover:scale-105 transition-all duration-300"
+            >
+              Stats
+            </Link>
+
+            {/* Dark Mode Toggle */}
+            <DarkModeToggle />
+          </div>
         </div>
       </nav>
 
@@ -1,12 +1,83 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
+import { useSearchParams, useLocation } from "react-router-dom";
 import Hero from "./Hero";
 import BookSearch from "./BookSearch";
 import BookResults from "./BookResults";
-import { searchBooks, getPopularBooks } from "../services/openLibraryApi";
+import {
+  searchBooksPage,
+  prefetchNeighbourPages,
+  getPopularBooks,
+  isAbortError,
+  describeError,
+  parseQuery,
+  removeQueryTerm,
+  resolveSearch,
+  normalizeSearchParams,
+  addToSearchHistory,
+  searchToUrlParams,
+  searchFromUrlParams,
+  getResultsMode,
+  setResultsMode as saveResultsMode,
+  getBookId,
+} from "../services/bookService";
 import { useTheme } from "../context/ThemeContext";
 
+const BOOKS_PER_PAGE = 20; // Page size requested from the API for user searches
+
+// Most pages a restored continuous grid loads again, so a shared link with a
+// huge page number can't set off a flood of requests
+const MAX_RESTORED_PAGES = 10;
+
+const SCROLL_STORAGE_KEY = "bookfinder-home-scroll";
+const MAX_SCROLL_ENTRIES = 20;
+
+// Scroll positions by history entry, so Back lands where the user left off
+const readScrollPositions = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SCROLL_STORAGE_KEY)) || {};
+  } catch {
+    // Ignore malformed saved data
+    return {};
+  }
+};
+
+const saveScrollPosition = (historyKey, top) => {
+  const positions = Object.entries({
+    ...readScrollPositions(),
+    [historyKey]: top,
+  }).slice(-MAX_SCROLL_ENTRIES);
+
+  try {
+    sessionStorage.setItem(
+      SCROLL_STORAGE_KEY,
+      JSON.stringify(Object.fromEntries(positions))
+    );
+  } catch (error) {
+    console.warn("Could not save scroll position:", error);
+  }
+};
+
+// Add the books that aren't loaded yet; result pages can overlap when the
+// index changes between requests
+const appendNewBooks = (loaded, docs) => {
+  const loadedIds = new Set(loaded.map(getBookId));
+  return [
+    ...loaded,
+    ...docs.filter((book) => {
+      const bookId = getBookId(book);
+      if (loadedIds.has(bookId)) return false;
+      loadedIds.add(bookId);
+      return true;
+    }),
+  ];
+};
+
+// The search, sort and page live in the query string (see searchToUrlParams),
+// so results survive Back from a book and any view can be shared as a link
 const HomePage = () => {
   const { isDarkMode } = useTheme();
+  const [urlParams, setUrlParams] = useSearchParams();
+  const location = useLocation();
   const [books, setBooks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -15,58 +86,403 @@ const HomePage = () => {
   const [currentPage, setCurrentPage] = useState(1);
   const [lastSearchParams, setLastSearchParams] = useState(null);
   const [isPageTurning, setIsPageTurning] = useState(false);
+  const [sortBy, setSortBy] = useState("relevance");
+  // Numbered pages or one continuous grid; in continuous mode `currentPage`
+  // is the last page loaded into `books`
+  const [resultsMode, setResultsMode] = useState(getResultsMode);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  // Set once a continuous page comes back empty
+  const [hasReachedEnd, setHasReachedEnd] = useState(false);
+  // Search form fields and query box text, shared with the facet sidebar,
+  // and the last search that ran so facets and pages can build on it
+  const [formParams, setFormParams] = useState({});
+  const [query, setQuery] = useState("");
+  const [lastSearch, setLastSearch] = useState({ formParams: {}, query: "" });
 
-  const BOOKS_PER_PAGE = 20; // Show all books on one page since we're now getting up to 16 books
+  // Controller for the request whose results currently own the grid
+  const activeRequestRef = useRef(null);
+  // Query string this page wrote last; any other value came from Back,
+  // Forward or a shared link and is restored
+  const writtenUrlRef = useRef(null);
+  // Scroll position to return to once restored results have rendered
+  const pendingScrollRef = useRef(null);
 
-  // Load popular books on initial load
-  useEffect(() => {
-    const loadInitialBooks = async () => {
+  // Abort whatever is in flight and start tracking a new request
+  const startRequest = useCallback(() => {
+    activeRequestRef.current?.abort();
+    const controller = new AbortController();
+    activeRequestRef.current = controller;
+    return controller;
+  }, []);
+
+  // Record a view in the URL, as a new history entry unless `replace` is set
+  const syncUrl = (search, { replace = false } = {}) => {
+    const next = searchToUrlParams(search).toString();
+    writtenUrlRef.current = next;
+    if (next !== urlParams.toString()) setUrlParams(next, { replace });
+  };
+
+  // Show results refreshed in the background while the request that loaded
+  // them still owns the grid. A numbered page is replaced outright; the
+  // continuous grid only updates the books it already shows.
+  const showRevalidated = useCallback(
+    (controller, { replace }) =>
+      (results) => {
+        if (controller.signal.aborted || results.isFallback) return;
+
+        const docs = results.docs || [];
+        if (replace) {
+          setBooks(docs);
+        } else {
+          const freshById = new Map(
+            docs.map((book) => [getBookId(book), book])
+          );
+          setBooks((prev) =>
+            prev.map((book) => freshById.get(getBookId(book)) || book)
+          );
+        }
+        setSearchInfo(
+          (prev) =>
+            prev && {
+              ...prev,
+              total: results.numFound || 0,
+              ...(replace && { showing: docs.length }),
+            }
+        );
+      },
+    []
+  );
+
+  const loadPopularBooks = useCallback(async () => {
+    activeRequestRef.current?.abort();
+    const controller = new AbortController();
+    activeRequestRef.current = controller;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const results = await getPopularBooks(16); // Get 16 books with guaranteed covers for initial display
+      // A user search started in the meantime owns the grid now
+      if (controller.signal.aborted) return;
+
+      setBooks(results.docs || []);
+      setSearchInfo({
+        total: results.docs?.length || 0,
+        showing: Math.min(results.docs?.length || 0, BOOKS_PER_PAGE),
+        searchTerms: { subject: "Popular Books" },
+        isFallback: Boolean(results.isFallback),
+        fallbackReason: results.fallbackReason,
+      });
+      setLastSearchParams({ isInitial: true });
+    } catch (err) {
+      if (controller.signal.aborted) return;
+
+      setError(describeError(err, "books").message);
+      setBooks([]);
+      setSearchInfo(null);
+    } finally {
+      if (!controller.signal.aborted) {
+        setLoading(false);
+        setIsInitialLoad(false);
+      }
+    }
+  }, []);
+
+  // Load one page of a search into the grid. The continuous grid loads the
+  // pages up to `page` one after another, so a restored view shows what it
+  // showed before - up to MAX_RESTORED_PAGES and the last page there is.
+  const runSearch = useCallback(
+    async (searchParams, page, mode = resultsMode) => {
+      const controller = startRequest();
+
+      setCurrentPage(page);
+      setIsPageTurning(false);
+      setIsLoadingMore(false);
+      setLoadMoreError(null);
+      setHasReachedEnd(false);
       setLoading(true);
       setError(null);
+      setIsInitialLoad(false);
+      setLastSearchParams(searchParams);
+
+      const isContinuous = mode === "continuous";
+      const firstPage = isContinuous ? 1 : page;
+      const lastPage = isContinuous ? Math.min(page, MAX_RESTORED_PAGES) : page;
 
       try {
-        const results = await getPopularBooks(16); // Get 16 books with guaranteed covers for initial display
-        setBooks(results.docs || []);
+        let loadedBooks = [];
+        let loadedPage = firstPage;
+        let results = null;
+        let reachedEnd = false;
+
+        for (let pageNumber = firstPage; pageNumber <= lastPage; pageNumber++) {
+          const pageResults = await searchBooksPage(
+            searchParams,
+            pageNumber,
+            BOOKS_PER_PAGE,
+            {
+              signal: controller.signal,
+              onRevalidate: showRevalidated(controller, {
+                replace: !isContinuous,
+              }),
+            }
+          );
+          const docs = pageResults.docs || [];
+
+          if (isContinuous && docs.length === 0) {
+            reachedEnd = true;
+            if (results) break;
+          }
+
+          results = pageResults;
+          loadedPage = pageNumber;
+          loadedBooks = appendNewBooks(loadedBooks, docs);
+
+          if (
+            pageNumber >= Math.ceil((results.numFound || 0) / BOOKS_PER_PAGE)
+          ) {
+            break;
+          }
+        }
+
+        const total = results.numFound || 0;
+        setBooks(loadedBooks);
+        setCurrentPage(loadedPage);
+        setHasReachedEnd(reachedEnd);
         setSearchInfo({
-          total: results.docs?.length || 0,
-          showing: Math.min(results.docs?.length || 0, BOOKS_PER_PAGE),
-          searchTerms: { subject: "Popular Books" },
+          total,
+          showing: loadedBooks.length,
+          searchTerms: searchParams,
+          isFallback: Boolean(results.isFallback),
+          fallbackReason: results.fallbackReason,
         });
-        setLastSearchParams({ isInitial: true });
+        prefetchNeighbourPages(
+          searchParams,
+          loadedPage,
+          BOOKS_PER_PAGE,
+          Math.ceil(total / BOOKS_PER_PAGE)
+        );
       } catch (err) {
-        setError(err.message || "Failed to load books. Please try again.");
+        // Superseded by a newer search - leave the grid to that one
+        if (isAbortError(err) || controller.signal.aborted) return;
+
+        setError(describeError(err, "search results").message);
         setBooks([]);
         setSearchInfo(null);
       } finally {
-        setLoading(false);
-        setIsInitialLoad(false);
+        if (activeRequestRef.current === controller) {
+          setLoading(false);
+        }
       }
+    },
+    [startRequest, showRevalidated, resultsMode]
+  );
+
+  // Restore the search in the URL on first load and on Back/Forward. Without
+  // one, show the popular books.
+  const urlSearch = urlParams.toString();
+  useEffect(() => {
+    if (urlSearch === writtenUrlRef.current) return;
+    writtenUrlRef.current = urlSearch;
+
+    const search = searchFromUrlParams(new URLSearchParams(urlSearch));
+    setFormParams(search.formParams);
+    setQuery(search.query);
+    setSortBy(search.sort);
+    setLastSearch({ formParams: search.formParams, query: search.query });
+    pendingScrollRef.current = readScrollPositions()[location.key] ?? null;
+
+    const searchParams = resolveSearch(search);
+    if (searchParams) {
+      runSearch(searchParams, search.page);
+    } else {
+      setCurrentPage(search.page);
+      loadPopularBooks();
+    }
+  }, [urlSearch, location.key, runSearch, loadPopularBooks]);
+
+  // Cancel whatever is still loading when the page unmounts
+  useEffect(
+    () => () => {
+      activeRequestRef.current?.abort();
+      writtenUrlRef.current = null;
+    },
+    []
+  );
+
+  // Remember how far down this view the user has scrolled
+  useEffect(() => {
+    let timeoutId;
+    const handleScroll = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(
+        () => saveScrollPosition(location.key, window.scrollY),
+        150
+      );
     };
 
-    loadInitialBooks();
-  }, []);
+    window.addEventListener("scroll", handleScroll, { passive: true });
+    return () => {
+      clearTimeout(timeoutId);
+      window.removeEventListener("scroll", handleScroll);
+    };
+  }, [location.key]);
 
-  const handleSearch = async (searchParams) => {
-    setCurrentPage(1);
-    setLoading(true);
-    setError(null);
-    setIsInitialLoad(false);
-    setLastSearchParams(searchParams);
+  // Return to the saved position once restored results are on screen
+  useEffect(() => {
+    if (loading || pendingScrollRef.current === null) return;
+
+    window.scrollTo(0, pendingScrollRef.current);
+    pendingScrollRef.current = null;
+  }, [loading]);
+
+  // Combine the form with the query box; new searches keep the order the
+  // user picked unless a saved search brings its own
+  const handleSearch = (searchForm, queryText, sort = sortBy) => {
+    setSortBy(sort);
+
+    const searchParams = resolveSearch({
+      formParams: searchForm,
+      query: queryText,
+      sort,
+    });
+    if (!searchParams) return;
+
+    const search = {
+      formParams: normalizeSearchParams(searchForm),
+      query: queryText.trim(),
+    };
+    setLastSearch(search);
+    addToSearchHistory({ ...search, sort });
+    syncUrl({ ...search, sort });
+    runSearch(searchParams, 1);
+  };
+
+  // Selecting a facet adds its term to the query; selecting it again removes it
+  const handleFacetToggle = (term) => {
+    const existing = parseQuery(query).terms.find((t) => t.raw === term);
+    const nextQuery = existing
+      ? removeQueryTerm(query, existing)
+      : `${query} ${term}`.trim();
+
+    setQuery(nextQuery);
+
+    // Removing the last criterion goes back to the popular books
+    if (
+      parseQuery(nextQuery).errors.length === 0 &&
+      !resolveSearch({ formParams: lastSearch.formParams, query: nextQuery })
+    ) {
+      const search = { formParams: lastSearch.formParams, query: nextQuery };
+      setLastSearch(search);
+      syncUrl({ ...search, sort: sortBy });
+      loadPopularBooks();
+      return;
+    }
+
+    handleSearch(lastSearch.formParams, nextQuery);
+  };
+
+  const handleSortChange = (sort) => {
+    setSortBy(sort);
+    syncUrl({ ...lastSearch, sort });
+
+    // Popular books are all loaded already and sorted by BookResults
+    if (!lastSearchParams || lastSearchParams.isInitial) {
+      setCurrentPage(1);
+      return;
+    }
+
+    runSearch({ ...lastSearchParams, sort }, 1);
+  };
+
+  // Append the next page to the continuous grid
+  const handleLoadMore = async () => {
+    const nextPage = currentPage + 1;
+    const totalPages = Math.ceil((searchInfo?.total || 0) / BOOKS_PER_PAGE);
+    if (
+      isLoadingMore ||
+      hasReachedEnd ||
+      nextPage > totalPages ||
+      !lastSearchParams ||
+      lastSearchParams.isInitial
+    ) {
+      return;
+    }
+
+    const controller = startRequest();
+    setIsLoadingMore(true);
+    setLoadMoreError(null);
 
     try {
-      const results = await searchBooks(searchParams, 1000); // Allow full search access for user searches
-      setBooks(results.docs || []);
-      setSearchInfo({
-        total: results.numFound || 0,
-        showing: Math.min(results.docs?.length || 0, BOOKS_PER_PAGE),
-        searchTerms: searchParams,
-      });
+      const results = await searchBooksPage(
+        lastSearchParams,
+        nextPage,
+        BOOKS_PER_PAGE,
+        {
+          signal: controller.signal,
+          onRevalidate: showRevalidated(controller, { replace: false }),
+        }
+      );
+      const docs = results.docs || [];
+      if (docs.length === 0) {
+        setHasReachedEnd(true);
+        return;
+      }
+
+      const total = results.numFound || 0;
+      const nextBooks = appendNewBooks(books, docs);
+      setBooks(nextBooks);
+      setCurrentPage(nextPage);
+      setSearchInfo((prev) => ({
+        ...prev,
+        total,
+        showing: nextBooks.length,
+        isFallback: Boolean(results.isFallback),
+        fallbackReason: results.fallbackReason,
+      }));
+      // Loading more isn't a new view, so Back still leaves the results
+      syncUrl(
+        { ...lastSearch, sort: sortBy, page: nextPage },
+        { replace: true }
+      );
+      prefetchNeighbourPages(
+        lastSearchParams,
+        nextPage,
+        BOOKS_PER_PAGE,
+        Math.ceil(total / BOOKS_PER_PAGE)
+      );
     } catch (err) {
-      setError(err.message || "Failed to search books. Please try again.");
-      setBooks([]);
-      setSearchInfo(null);
+      if (isAbortError(err) || controller.signal.aborted) return;
+
+      setLoadMoreError(describeError(err, "more results").message);
     } finally {
-      setLoading(false);
+      if (activeRequestRef.current === controller) {
+        setIsLoadingMore(false);
+      }
+    }
+  };
+
+  const handleResultsModeChange = (mode) => {
+    setResultsMode(mode);
+    saveResultsMode(mode);
+    syncUrl({ ...lastSearch, sort: sortBy }, { replace: true });
+
+    // Start the new layout from the first page
+    if (!lastSearchParams || lastSearchParams.isInitial) {
+      setCurrentPage(1);
+    } else {
+      runSearch(lastSearchParams, 1, mode);
+    }
+  };
+
+  // Try the live API again after falling back to offline results
+  const handleRetry = () => {
+    if (!lastSearchParams || lastSearchParams.isInitial) {
+      loadPopularBooks();
+    } else {
+      runSearch(lastSearchParams, currentPage);
     }
   };
 
@@ -74,22 +490,56 @@ const HomePage = () => {
     if (newPage === currentPage || isPageTurning) return;
 
     setIsPageTurning(true);
+    const search = { ...lastSearch, sort: sortBy, page: newPage };
+
+    // Popular books are loaded in one go, so only the page index changes
+    if (!lastSearchParams || lastSearchParams.isInitial) {
+      syncUrl(search);
+      setTimeout(() => {
+        setCurrentPage(newPage);
+        setIsPageTurning(false);
+      }, 300);
+      return;
+    }
+
+    const controller = startRequest();
 
-    // Page turning animation delay
-    setTimeout(() => {
+    try {
+      // Fetch the requested page while the page-turn animation plays
+      const [results] = await Promise.all([
+        searchBooksPage(lastSearchParams, newPage, BOOKS_PER_PAGE, {
+          signal: controller.signal,
+          onRevalidate: showRevalidated(controller, { replace: true }),
+        }),
+        new Promise((resolve) => setTimeout(resolve, 300)),
+      ]);
+      const total = results.numFound || 0;
+      // Only a page that loaded gets a history entry
+      syncUrl(search);
+      setBooks(results.docs || []);
       setCurrentPage(newPage);
-      setIsPageTurning(false);
+      setSearchInfo((prev) => ({
+        ...prev,
+        total,
+        showing: results.docs?.length || 0,
+        isFallback: Boolean(results.isFallback),
+        fallbackReason: results.fallbackReason,
+      }));
+      prefetchNeighbourPages(
+        lastSearchParams,
+        newPage,
+        BOOKS_PER_PAGE,
+        Math.ceil(total / BOOKS_PER_PAGE)
+      );
+    } catch (err) {
+      if (isAbortError(err) || controller.signal.aborted) return;
 
-      // Update searchInfo to reflect current page
-      if (searchInfo) {
-        const startIndex = (newPage - 1) * BOOKS_PER_PAGE;
-        const endIndex = Math.min(startIndex + BOOKS_PER_PAGE, books.length);
-        setSearchInfo({
-          ...searchInfo,
-          showing: endIndex - startIndex,
-        });
+      setError(describeError(err, "page").message);
+    } finally {
+      if (activeRequestRef.current === controller) {
+        setIsPageTurning(false);
       }
-    }, 300);
+    }
   };
 
   return (
@@ -105,7 +555,15 @@ const HomePage = () => {
       <div className="container mx-auto px-3 py-6 md:px-4 md:py-12">
         {/* Search Container */}
         <div className="mb-4 md:mb-8 animate-slide-up">
-          <BookSearch onSearch={handleSearch} loading={loading} />
+          <BookSearch
+            onSearch={handleSearch}
+            loading={loading}
+            formParams={formParams}
+            onFormParamsChange={setFormParams}
+            query={query}
+            onQueryChange={setQuery}
+            sortBy={sortBy}
+          />
         </div>
 
         {/* Results Container */}
@@ -118,7 +576,23 @@ const HomePage = () => {
             isInitialLoad={isInitialLoad}
             currentPage={currentPage}
             booksPerPage={BOOKS_PER_PAGE}
+            totalResults={
+              lastSearchParams && !lastSearchParams.isInitial
+                ? searchInfo?.total
+                : undefined
+            }
             onPageChange={handlePageChange}
+            onRetry={handleRetry}
+            sortBy={sortBy}
+            onSortChange={handleSortChange}
+            activeTerms={parseQuery(query).terms.map((term) => term.raw)}
+            onFacetToggle={handleFacetToggle}
+            resultsMode={resultsMode}
+            onResultsModeChange={handleResultsModeChange}
+            onLoadMore={handleLoadMore}
+            isLoadingMore={isLoadingMore}
+            hasReachedEnd={hasReachedEnd}
+            loadMoreError={loadMoreError}
             isPageTurning={isPageTurning}
           />
         </div>
@@ -0,0 +1,363 @@
+import { useState, useEffect, useRef } from "react";
+import { useNavigate, Link } from "react-router-dom";
+import ImportReviewRow from "./ImportReviewRow";
+import { useTheme } from "../context/ThemeContext";
+import { useShelves } from "../context/useShelves";
+import { describeError, isAbortError } from "../services/bookService";
+import { parseReadingExport, matchImportRow } from "../services/libraryImport";
+
+const ROWS_PER_PAGE = 50;
+
+const REVIEW_FILTERS = [
+  { value: "review", label: "Needs review" },
+  { value: "matched", label: "Matched" },
+  { value: "all", label: "All" },
+];
+
+const isMatched = (item) =>
+  item.matchedBy === "isbn" || item.matchedBy === "title";
+
+const ImportPage = () => {
+  const { isDarkMode } = useTheme();
+  const navigate = useNavigate();
+  const { importBooks } = useShelves();
+  const [parsed, setParsed] = useState(null); // { formatName, fileName }
+  const [parseError, setParseError] = useState(null);
+  const [items, setItems] = useState([]);
+  const [phase, setPhase] = useState("choose"); // choose, matching, review, done
+  const [matchError, setMatchError] = useState(null); // { title, message, index }
+  const [filter, setFilter] = useState("review");
+  const [visibleCount, setVisibleCount] = useState(ROWS_PER_PAGE);
+  const [importedCount, setImportedCount] = useState(0);
+  const abortRef = useRef(null);
+
+  // Stop matching when leaving the page
+  useEffect(() => {
+    return () => abortRef.current?.abort();
+  }, []);
+
+  const updateItem = (id, changes) => {
+    setItems((prev) =>
+      prev.map((item) => (item.id === id ? { ...item, ...changes } : item))
+    );
+  };
+
+  // Match rows one at a time from `startIndex`, to stay gentle on the API
+  const matchRows = async (rows, startIndex) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setPhase("matching");
+    setMatchError(null);
+
+    for (let index = startIndex; index < rows.length; index++) {
+      try {
+        const match = await matchImportRow(rows[index].row, {
+          signal: controller.signal,
+        });
+        updateItem(index, match);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        setMatchError({ ...describeError(err, "matches"), index });
+        return;
+      }
+    }
+
+    setPhase("review");
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setParseError(null);
+    try {
+      const { formatName, rows } = parseReadingExport(await file.text());
+      const nextItems = rows.map((row, index) => ({
+        id: index,
+        row,
+        status: "pending",
+        book: null,
+        candidates: [],
+        matchedBy: null,
+        skipped: false,
+      }));
+      setParsed({ formatName, fileName: file.name });
+      setItems(nextItems);
+      setFilter("review");
+      setVisibleCount(ROWS_PER_PAGE);
+      matchRows(nextItems, 0);
+    } catch (err) {
+      setParseError(err.message);
+    }
+  };
+
+  // Rows not looked up yet go to the review screen as unmatched
+  const handleStopMatching = () => {
+    abortRef.current?.abort();
+    setMatchError(null);
+    setItems((prev) =>
+      prev.map((item) =>
+        item.status === "pending" ? { ...item, status: "unmatched" } : item
+      )
+    );
+    setPhase("review");
+  };
+
+  const handleImport = () => {
+    const toImport = items.filter((item) => item.book && !item.skipped);
+    importBooks(toImport);
+    setImportedCount(toImport.length);
+    setPhase("done");
+  };
+
+  const handleGoBack = () => {
+    navigate(-1);
+  };
+
+  const matchedCount = items.filter((item) => item.status !== "pending").length;
+  const importCount = items.filter((item) => item.book && !item.skipped).length;
+  const reviewCount = items.filter(
+    (item) => !isMatched(item) && !item.book && !item.skipped
+  ).length;
+  const filteredItems = items.filter((item) => {
+    if (filter === "review") return !isMatched(item);
+    if (filter === "matched") return isMatched(item);
+    return true;
+  });
+
+  return (
+    <div
+      className={`min-h-screen py-8 transition-colors duration-300 ${
+        isDarkMode ? "bg-slate-900" : "bg-gray-50"
+      }`}
+    >
+      <div className="container mx-auto px-4 max-w-4xl">
+        {/* Back Button */}
+        <div className="mb-6 animate-fade-in">
+          <button
+            onClick={handleGoBack}
+            className={`flex items-center space-x-2 transition-colors ${
+              isDarkMode
+                ? "text-white hover:text-gray-300"
+                : "text-gray-700 hover:text-gray-900"
+            }`}
+          >
+            <svg
+              className="w-5 h-5"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M15 19l-7-7 7-7"
+              />
+            </svg>
+            <span>Back</span>
+          </button>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-lg border border-gray-200 p-6 md:p-8 mb-8 animate-slide-up">
+          <h1 className="text-3xl font-bold text-black mb-1">
+            Import Reading History
+          </h1>
+          <p className="text-lg text-gray-600 mb-6">
+            Bring your shelves, ratings, reviews and read dates over from
+            Goodreads or StoryGraph
+          </p>
+
+          {/* Choose File */}
+          {(phase === "choose" || phase === "done") && (
+            <div className="space-y-4">
+              <ul className="list-disc pl-5 text-sm text-gray-700 space-y-1">
+                <li>
+                  <strong>Goodreads:</strong> My Books → Import and export →
+                  Export Library, then download the CSV
+                </li>
+                <li>
+                  <strong>StoryGraph:</strong> Manage Account → Export
+                  StoryGraph Library, then download the CSV
+                </li>
+              </ul>
+              <label className="block">
+                <span className="sr-only">Choose a CSV export</span>
+                <input
+                  type="file"
+                  accept=".csv,text/csv"
+                  onChange={handleFileChange}
+                  className="block w-full text-sm text-gray-700 file:mr-4 file:px-4 file:py-2 file:rounded-md file:border-0 file:bg-blue-600 file:text-white hover:file:bg-blue-700 file:cursor-pointer"
+                />
+              </label>
+              {parseError && (
+                <p className="text-sm text-red-600" role="alert">
+                  {parseError}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Matching Progress */}
+          {phase === "matching" && (
+            <div className="space-y-3" aria-live="polite">
+              <p className="text-gray-700">
+                Matching {parsed.fileName} ({parsed.formatName}) to Open Library
+                works: {matchedCount.toLocaleString()} of{" "}
+                {items.length.toLocaleString()}
+              </p>
+              <div
+                role="progressbar"
+                aria-label="Matching progress"
+                aria-valuemin={0}
+                aria-valuemax={items.length}
+                aria-valuenow={matchedCount}
+                className="h-3 bg-gray-200 rounded-full overflow-hidden"
+              >
+                <div
+                  className="h-full bg-blue-600 transition-all duration-300"
+                  style={{ width: `${(matchedCount / items.length) * 100}%` }}
+                />
+              </div>
+
+              {matchError ? (
+                <div
+                  className="p-4 bg-red-50 border border-red-200 rounded-md"
+                  role="alert"
+                >
+                  <p className="font-semibold text-red-800">
+                    {matchError.title}
+                  </p>
+                  <p className="text-sm text-red-700 mb-3">
+                    {matchError.message}
+                  </p>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => matchRows(items, matchError.index)}
+                      className="px-4 py-2 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+                    >
+                      Try Again
+                    </button>
+                    <button
+                      onClick={handleStopMatching}
+                      className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                    >
+                      Review what's matched
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <button
+                  onClick={handleStopMatching}
+                  className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                >
+                  Stop and review
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Review Summary */}
+          {phase === "review" && (
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <p className="text-gray-700">
+                {importCount.toLocaleString()} of{" "}
+                {items.length.toLocaleString()} books ready to import
+                {reviewCount > 0 &&
+                  ` - ${reviewCount.toLocaleString()} still need a match or can be skipped`}
+              </p>
+              <button
+                onClick={handleImport}
+                disabled={importCount === 0}
+                className="px-6 py-2 bg-black text-white rounded-md hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Import {importCount.toLocaleString()}{" "}
+                {importCount === 1 ? "book" : "books"}
+              </button>
+            </div>
+          )}
+
+          {/* Done */}
+          {phase === "done" && (
+            <div
+              className="mt-6 p-4 bg-green-50 border border-green-200 rounded-md text-green-800"
+              role="status"
+            >
+              Imported {importedCount.toLocaleString()}{" "}
+              {importedCount === 1 ? "book" : "books"} from {parsed.formatName}.{" "}
+              <Link to="/shelves" className="underline hover:text-green-900">
+                Go to My Shelves
+              </Link>{" "}
+              or{" "}
+              <Link to="/stats" className="underline hover:text-green-900">
+                see your stats
+              </Link>
+              .
+            </div>
+          )}
+        </div>
+
+        {/* Review List */}
+        {phase === "review" && (
+          <div className="bg-white rounded-lg shadow-md p-4 md:p-6 border border-gray-200">
+            <div
+              role="group"
+              aria-label="Show rows"
+              className="inline-flex rounded-md border border-gray-300 overflow-hidden mb-4"
+            >
+              {REVIEW_FILTERS.map((option) => (
+                <button
+                  key={option.value}
+                  onClick={() => {
+                    setFilter(option.value);
+                    setVisibleCount(ROWS_PER_PAGE);
+                  }}
+                  aria-pressed={filter === option.value}
+                  className={`px-3 py-1.5 text-sm transition-colors ${
+                    filter === option.value
+                      ? "bg-black text-white"
+                      : "bg-white text-gray-700 hover:bg-gray-50"
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            {filteredItems.length === 0 ? (
+              <p className="text-gray-600 text-center p-6">
+                {filter === "review"
+                  ? "Every row was matched automatically."
+                  : "No rows here."}
+              </p>
+            ) : (
+              <ul className="space-y-3">
+                {filteredItems.slice(0, visibleCount).map((item) => (
+                  <ImportReviewRow
+                    key={item.id}
+                    item={item}
+                    onUpdate={(changes) => updateItem(item.id, changes)}
+                  />
+                ))}
+              </ul>
+            )}
+
+            {filteredItems.length > visibleCount && (
+              <div className="text-center mt-4">
+                <button
+                  onClick={() => setVisibleCount(visibleCount + ROWS_PER_PAGE)}
+                  className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                >
+                  Show more (
+                  {(filteredItems.length - visibleCount).toLocaleString()} left)
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportPage;
@@ -0,0 +1,234 @@
+import { useState } from "react";
+import {
+  searchOpenLibraryWorks,
+  getBookCoverUrl,
+  getBookId,
+  formatAuthors,
+  describeError,
+} from "../services/bookService";
+
+const STATUS_LABELS = {
+  "want-to-read": "Want to Read",
+  "currently-reading": "Currently Reading",
+  read: "Read",
+};
+
+// How the row was resolved, for the badge next to its title
+const describeMatch = (item) => {
+  if (item.skipped) return { label: "Skipped", tone: "gray" };
+  if (item.matchedBy === "you") return { label: "Chosen", tone: "green" };
+  if (item.matchedBy === "isbn") {
+    return { label: "Matched by ISBN", tone: "green" };
+  }
+  if (item.matchedBy === "title") {
+    return { label: "Matched by title", tone: "green" };
+  }
+  if (item.status === "ambiguous") {
+    return { label: "Pick a match", tone: "yellow" };
+  }
+  return { label: "No match found", tone: "red" };
+};
+
+const BADGE_TONES = {
+  gray: "bg-gray-100 text-gray-700 border-gray-200",
+  green: "bg-green-50 text-green-800 border-green-200",
+  yellow: "bg-yellow-50 text-yellow-800 border-yellow-200",
+  red: "bg-red-50 text-red-700 border-red-200",
+};
+
+// One imported row on the review screen: what the export says, the work it
+// will be added as, and the candidates or a search to pick another one
+const ImportReviewRow = ({ item, onUpdate }) => {
+  const { row } = item;
+  const needsChoice = !item.book && !item.skipped;
+  const [isChoosing, setIsChoosing] = useState(false);
+  const [searchText, setSearchText] = useState(
+    [row.searchTitle, row.authors[0]].filter(Boolean).join(" ")
+  );
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const badge = describeMatch(item);
+  const selectedId = item.book ? getBookId(item.book) : null;
+
+  const handleChoose = (book) => {
+    onUpdate({ book, skipped: false, matchedBy: "you" });
+    setIsChoosing(false);
+  };
+
+  const handleSkip = () => {
+    onUpdate({ skipped: true });
+    setIsChoosing(false);
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!searchText.trim()) return;
+
+    setIsSearching(true);
+    setSearchError(null);
+    try {
+      const candidates = await searchOpenLibraryWorks({ q: searchText }, 5);
+      onUpdate({ candidates });
+      if (candidates.length === 0) {
+        setSearchError("No works found - try fewer or different words.");
+      }
+    } catch (err) {
+      setSearchError(describeError(err, "search results").title);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <li className="p-4 bg-white border border-gray-200 rounded-md space-y-3">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div className="min-w-0">
+          <h3 className="font-semibold text-black">
+            <span className="text-gray-400 font-normal mr-2">
+              #{row.rowNumber}
+            </span>
+            {row.title}
+          </h3>
+          <p className="text-sm text-gray-600">
+            by {formatAuthors(row.authors)}
+            {[
+              STATUS_LABELS[row.status],
+              ...row.shelves,
+              row.rating && `★ ${row.rating}`,
+              row.isbn && `ISBN ${row.isbn}`,
+            ]
+              .filter(Boolean)
+              .map((detail) => ` · ${detail}`)}
+          </p>
+        </div>
+        <span
+          className={`px-2 py-0.5 text-xs rounded-full border shrink-0 ${
+            BADGE_TONES[badge.tone]
+          }`}
+        >
+          {badge.label}
+        </span>
+      </div>
+
+      {/* Chosen Work */}
+      {item.book && !item.skipped && !isChoosing && (
+        <div className="flex items-center justify-between gap-3">
+          <WorkSummary book={item.book} />
+          <div className="flex gap-2 shrink-0">
+            <button
+              type="button"
+              onClick={() => setIsChoosing(true)}
+              className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+            >
+              Change
+            </button>
+            <button
+              type="button"
+              onClick={handleSkip}
+              className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+            >
+              Skip
+            </button>
+          </div>
+        </div>
+      )}
+
+      {item.skipped && !isChoosing && (
+        <button
+          type="button"
+          onClick={() => setIsChoosing(true)}
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          Choose a work instead
+        </button>
+      )}
+
+      {/* Candidates And Search */}
+      {(needsChoice || isChoosing) && (
+        <div className="space-y-3">
+          {item.candidates.length > 0 && (
+            <fieldset className="space-y-2">
+              <legend className="text-sm text-gray-700 mb-1">
+                Which work is it?
+              </legend>
+              {item.candidates.map((candidate) => (
+                <label
+                  key={getBookId(candidate)}
+                  className="flex items-center gap-3 p-2 border border-gray-200 rounded-md hover:bg-gray-50 cursor-pointer"
+                >
+                  <input
+                    type="radio"
+                    name={`import-row-${item.id}`}
+                    checked={selectedId === getBookId(candidate)}
+                    onChange={() => handleChoose(candidate)}
+                    className="text-blue-600 focus:ring-blue-500"
+                  />
+                  <WorkSummary book={candidate} />
+                </label>
+              ))}
+            </fieldset>
+          )}
+
+          <form onSubmit={handleSearch} className="flex gap-2">
+            <input
+              type="search"
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              aria-label={`Search Open Library for ${row.title}`}
+              className="flex-1 min-w-0 px-3 py-1.5 text-sm border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={isSearching || !searchText.trim()}
+              className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              {isSearching ? "Searching..." : "Search"}
+            </button>
+            <button
+              type="button"
+              onClick={handleSkip}
+              className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+            >
+              Skip
+            </button>
+          </form>
+          {searchError && (
+            <p className="text-sm text-red-600" role="alert">
+              {searchError}
+            </p>
+          )}
+        </div>
+      )}
+    </li>
+  );
+};
+
+// Cover, title, authors and year of an Open Library work
+const WorkSummary = ({ book }) => {
+  const coverUrl = getBookCoverUrl(book, "S");
+
+  return (
+    <div className="flex items-center gap-3 min-w-0">
+      {coverUrl ? (
+        <img
+          src={coverUrl}
+          alt=""
+          className="w-8 h-12 object-cover rounded bg-gray-100 shrink-0"
+          loading="lazy"
+        />
+      ) : (
+        <div className="w-8 h-12 bg-gray-100 rounded shrink-0" />
+      )}
+      <div className="min-w-0 text-sm">
+        <p className="font-medium text-black truncate">{book.title}</p>
+        <p className="text-gray-600 truncate">
+          {formatAuthors(book.author_name || [])}
+          {book.first_publish_year && ` · ${book.first_publish_year}`}
+          {book.edition_count && ` · ${book.edition_count} editions`}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ImportReviewRow;
@@ -0,0 +1,84 @@
+import { useEffect, useRef } from "react";
+
+// Bottom of a continuous results grid: loads the next page as it nears the
+// viewport, with a button for keyboard and screen reader users and an
+// end-of-results marker once everything is shown
+const InfiniteScrollFooter = ({
+  hasMore,
+  isLoading,
+  error,
+  onLoadMore,
+  loadedCount,
+  totalCount,
+}) => {
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (
+      !sentinel ||
+      !hasMore ||
+      isLoading ||
+      error ||
+      !("IntersectionObserver" in window)
+    ) {
+      return;
+    }
+
+    // Start loading a little before the user reaches the end of the grid
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) onLoadMore();
+      },
+      { rootMargin: "600px 0px" }
+    );
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [hasMore, isLoading, error, onLoadMore]);
+
+  return (
+    <div
+      ref={sentinelRef}
+      className="mt-6 md:mt-8 flex flex-col items-center gap-2 text-sm"
+      aria-live="polite"
+    >
+      {error ? (
+        <>
+          <p className="text-red-600">{error}</p>
+          <button
+            onClick={onLoadMore}
+            className="px-4 py-2 bg-black text-white rounded-md hover:bg-gray-800 transition-colors"
+          >
+            Try Again
+          </button>
+        </>
+      ) : hasMore ? (
+        <button
+          onClick={onLoadMore}
+          disabled={isLoading}
+          className="flex items-center px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-75 disabled:cursor-wait transition-colors"
+        >
+          {isLoading && (
+            <span className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></span>
+          )}
+          {isLoading ? "Loading more books..." : "Load more"}
+        </button>
+      ) : (
+        <div className="flex items-center w-full gap-3 text-gray-500">
+          <span className="flex-1 border-t border-gray-200"></span>
+          <span>
+            End of results - {loadedCount.toLocaleString()}
+            {totalCount > loadedCount
+              ? ` of ${totalCount.toLocaleString()}`
+              : ""}{" "}
+            books shown
+          </span>
+          <span className="flex-1 border-t border-gray-200"></span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InfiniteScrollFooter;
@@ -0,0 +1,94 @@
+import { useState, useEffect } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import {
+  lookupIsbn,
+  isValidIsbn,
+  normalizeIsbn,
+  describeError,
+  ERROR_TYPES,
+} from "../services/bookService";
+import { useTheme } from "../context/ThemeContext";
+
+const IsbnLookup = () => {
+  const { isDarkMode } = useTheme();
+  const { isbn } = useParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    const resolveIsbn = async () => {
+      setError(null);
+
+      if (!isValidIsbn(isbn)) {
+        setError({
+          title: "Invalid ISBN",
+          message: `"${isbn}" is not a valid ISBN-10 or ISBN-13. Check the digits and try again.`,
+        });
+        return;
+      }
+
+      try {
+        const { bookId, editionId } = await lookupIsbn(isbn);
+        if (isCancelled) return;
+        // Replace so Back skips the lookup and returns to the search
+        navigate(`/book/${bookId}?edition=${editionId}`, { replace: true });
+      } catch (err) {
+        if (isCancelled) return;
+        const { title, message } = describeError(err, "book");
+        setError({
+          title: err.type === ERROR_TYPES.NOT_FOUND ? "ISBN Not Found" : title,
+          message:
+            err.type === ERROR_TYPES.NOT_FOUND
+              ? `No book with ISBN ${normalizeIsbn(isbn)} was found.`
+              : message,
+        });
+      }
+    };
+
+    resolveIsbn();
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [isbn, navigate]);
+
+  const handleGoBack = () => {
+    navigate(-1);
+  };
+
+  return (
+    <div
+      className={`min-h-screen flex items-center justify-center transition-colors duration-300 ${
+        isDarkMode ? "bg-slate-900" : "bg-gray-50"
+      }`}
+    >
+      <div className="bg-white rounded-lg shadow-md p-8 border border-gray-200 max-w-md text-center">
+        {!error ? (
+          <div className="flex items-center justify-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-black"></div>
+            <span className="ml-3 text-gray-700">
+              Looking up ISBN {normalizeIsbn(isbn)}...
+            </span>
+          </div>
+        ) : (
+          <>
+            <h3 className="text-lg font-medium mb-2 text-black">
+              {error.title}
+            </h3>
+            <p className="text-gray-700 mb-4">{error.message}</p>
+            <button
+              onClick={handleGoBack}
+              className="px-4 py-2 bg-black text-white rounded-md hover:bg-gray-800 transition-colors"
+            >
+              Go Back
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default IsbnLookup;
@@ -0,0 +1,157 @@
+const PaginationControls = ({
+  currentPage,
+  totalPages,
+  onPageChange,
+  isPageTurning,
+  totalBooks,
+  currentRange,
+}) => {
+  const getPageNumbers = () => {
+    const pages = [];
+    const maxVisiblePages = 5;
+
+    if (totalPages <= maxVisiblePages) {
+      for (let i = 1; i <= totalPages; i++) {
+        pages.push(i);
+      }
+    } else {
+      // Always show first page
+      pages.push(1);
+
+      let startPage = Math.max(2, currentPage - 1);
+      let endPage = Math.min(totalPages - 1, currentPage + 1);
+
+      // Add ellipsis if needed
+      if (startPage > 2) {
+        pages.push("...");
+      }
+
+      // Add middle pages
+      for (let i = startPage; i <= endPage; i++) {
+        if (i !== 1 && i !== totalPages) {
+          pages.push(i);
+        }
+      }
+
+      // Add ellipsis if needed
+      if (endPage < totalPages - 1) {
+        pages.push("...");
+      }
+
+      // Always show last page
+      if (totalPages > 1) {
+        pages.push(totalPages);
+      }
+    }
+
+    return pages;
+  };
+
+  return (
+    <div className="mt-4 md:mt-8 bg-gray-50 rounded-xl p-3 md:p-6 border border-gray-200">
+      {/* Results Info */}
+      <div className="text-center mb-6">
+        <p className="text-sm text-gray-600">
+          Showing{" "}
+          <span className="font-semibold text-black">
+            {currentRange.start}-{currentRange.end}
+          </span>{" "}
+          of{" "}
+          <span className="font-semibold text-black">
+            {totalBooks.toLocaleString()}
+          </span>{" "}
+          books
+        </p>
+      </div>
+
+      {/* Pagination Controls */}
+      <div className="flex items-center justify-center space-x-2">
+        {/* Previous Button */}
+        <button
+          onClick={() => onPageChange(currentPage - 1)}
+          disabled={currentPage === 1 || isPageTurning}
+          className="pagination-button flex items-center space-x-2"
+        >
+          <svg
+            className="w-4 h-4"
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M15 19l-7-7 7-7"
+            />
+          </svg>
+          <span className="hidden sm:inline">Previous</span>
+        </button>
+
+        {/* Page Numbers */}
+        <div className="flex items-center space-x-1">
+          {getPageNumbers().map((page, index) => {
+            if (page === "...") {
+              return (
+                <span
+                  key={`ellipsis-${index}`}
+                  className="px-3 py-2 text-gray-500"
+                >
+                  ...
+                </span>
+              );
+            }
+
+            const isCurrentPage = page === currentPage;
+            return (
+              <button
+                key={page}
+                onClick={() => onPageChange(page)}
+                disabled={isPageTurning}
+                className={`pagination-button ${
+                  isCurrentPage ? "pagination-current" : ""
+                }`}
+              >
+                {page}
+              </button>
+            );
+          })}
+        </div>
+
+        {/* Next Button */}
+        <button
+          onClick={() => onPageChange(currentPage + 1)}
+          disabled={currentPage === totalPages || isPageTurning}
+          className="pagination-button flex items-center space-x-2"
+        >
+          <span className="hidden sm:inline">Next</span>
+          <svg
+            className="w-4 h-4"
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M9 5l7 7-7 7"
+            />
+          </svg>
+        </button>
+      </div>
+
+      {/* Page Turning Animation Indicator */}
+      {isPageTurning && (
+        <div className="flex items-center justify-center mt-4">
+          <div className="flex items-center space-x-2 text-gray-500">
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-gray-500"></div>
+            <span className="text-sm">Turning page...</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaginationControls;
@@ -0,0 +1,20 @@
+import { useShelves } from "../context/useShelves";
+
+// The reader's own rating, shown over a card's cover once they've rated it
+const RatingBadge = ({ book, className = "" }) => {
+  const { getAnnotation } = useShelves();
+  const rating = getAnnotation(book)?.rating;
+  if (!rating) return null;
+
+  return (
+    <span
+      className={`px-2 py-0.5 bg-black/75 text-yellow-300 text-xs font-semibold rounded-full shadow-sm ${className}`}
+      aria-label={`Your rating: ${rating} out of 5 stars`}
+      title="Your rating"
+    >
+      ★ {rating}
+    </span>
+  );
+};
+
+export default RatingBadge;
@@ -0,0 +1,138 @@
+import { useState } from "react";
+import { useShelves } from "../context/useShelves";
+import { getPageCount, todayDate } from "../services/shelves";
+
+// Page fields keep a draft while typing and save on submit, so clearing a
+// field to retype it doesn't snap back to the saved value
+const PageForm = ({ currentPage, pageCount, onSave }) => {
+  const [draft, setDraft] = useState({
+    currentPage: currentPage ? String(currentPage) : "",
+    pageCount: pageCount ? String(pageCount) : "",
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      currentPage: Number(draft.currentPage) || 0,
+      pageCount: Number(draft.pageCount) || null,
+    });
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="flex flex-wrap items-center gap-2 text-sm text-gray-700"
+    >
+      <label htmlFor="current-page">Page</label>
+      <input
+        id="current-page"
+        type="number"
+        min="0"
+        value={draft.currentPage}
+        onChange={(e) => setDraft({ ...draft, currentPage: e.target.value })}
+        className="w-20 px-2 py-1 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <label htmlFor="page-count">of</label>
+      <input
+        id="page-count"
+        type="number"
+        min="1"
+        value={draft.pageCount}
+        onChange={(e) => setDraft({ ...draft, pageCount: e.target.value })}
+        placeholder="?"
+        className="w-20 px-2 py-1 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <button
+        type="submit"
+        className="px-3 py-1 text-sm bg-black text-white rounded-md hover:bg-gray-800 transition-colors"
+      >
+        Update
+      </button>
+    </form>
+  );
+};
+
+// Start and finish dates and the current page for a book being read or
+// already read. The page count defaults to the edition's.
+const ReadingProgress = ({ book }) => {
+  const { getBookEntry, updateProgress } = useShelves();
+  const entry = getBookEntry(book);
+  if (!entry) return null;
+
+  const isReading = entry.shelfIds.includes("currently-reading");
+  const isRead = entry.shelfIds.includes("read");
+  if (!isReading && !isRead) return null;
+
+  const pageCount = getPageCount(entry);
+  const currentPage = entry.currentPage || 0;
+  const percent = pageCount
+    ? Math.min(100, Math.round((currentPage / pageCount) * 100))
+    : null;
+
+  return (
+    <div className="space-y-3 pt-3 border-t border-gray-200">
+      <h4 className="text-sm font-semibold text-black">Reading progress</h4>
+
+      <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          <span>Started</span>
+          <input
+            type="date"
+            value={entry.startedOn || ""}
+            max={entry.finishedOn || todayDate()}
+            onChange={(e) =>
+              updateProgress(book, { startedOn: e.target.value || null })
+            }
+            className="px-2 py-1 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+        {isRead && (
+          <label className="flex items-center gap-2">
+            <span>Finished</span>
+            <input
+              type="date"
+              value={entry.finishedOn || ""}
+              min={entry.startedOn || undefined}
+              onChange={(e) =>
+                updateProgress(book, { finishedOn: e.target.value || null })
+              }
+              className="px-2 py-1 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+        )}
+      </div>
+
+      {percent !== null && (
+        <div>
+          <div
+            role="progressbar"
+            aria-label="Reading progress"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={percent}
+            className="h-2 bg-gray-200 rounded-full overflow-hidden"
+          >
+            <div
+              className="h-full bg-green-600 transition-all duration-300"
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+          <p className="mt-1 text-xs text-gray-600">
+            {percent}% - {Math.max(0, pageCount - currentPage).toLocaleString()}{" "}
+            pages left
+          </p>
+        </div>
+      )}
+
+      {/* Remount the form when the saved pages change elsewhere */}
+      <PageForm
+        key={`${currentPage}-${pageCount}`}
+        currentPage={currentPage}
+        pageCount={pageCount}
+        onSave={(changes) => updateProgress(book, changes)}
+      />
+    </div>
+  );
+};
+
+export default ReadingProgress;
@@ -0,0 +1,420 @@
+import { useState, useEffect, useRef } from "react";
+import {
+  getSearchHistory,
+  clearSearchHistory,
+  getSavedSearches,
+  saveSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  countSearchResults,
+  formatLanguage,
+  SORT_OPTIONS,
+} from "../services/bookService";
+
+const FIELD_LABELS = {
+  title: "title",
+  author: "author",
+  subject: "subject",
+  q: "keywords",
+  publisher: "publisher",
+  isbn: "isbn",
+};
+
+// One-line summary of a search's query, fields and order
+const describeSearch = ({ formParams = {}, query, sort }) => {
+  const parts = query ? [query] : [];
+
+  Object.entries(FIELD_LABELS).forEach(([field, label]) => {
+    if (formParams[field]) parts.push(`${label}: ${formParams[field]}`);
+  });
+  if (formParams.language) {
+    parts.push(`language: ${formatLanguage(formParams.language)}`);
+  }
+  if (formParams.yearFrom || formParams.yearTo) {
+    parts.push(`year ${formParams.yearFrom ?? ""}–${formParams.yearTo ?? ""}`);
+  }
+  if (formParams.hasFulltext) parts.push("has full text");
+  if (formParams.hasCover) parts.push("has cover");
+
+  const sortOption = SORT_OPTIONS.find((option) => option.value === sort);
+  if (sortOption && sort !== "relevance") {
+    parts.push(`sorted ${sortOption.label.toLowerCase()}`);
+  }
+
+  return parts.join(" · ");
+};
+
+const formatRunTime = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleString() : "Never run";
+
+// Dropdown of recent and saved searches, with a view for managing the saved
+// ones. Saved searches remember their last result count so the menu can show
+// how many results have appeared since.
+const SearchHistoryMenu = ({ currentSearch, onRunSearch, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [view, setView] = useState("menu");
+  const [history, setHistory] = useState(getSearchHistory);
+  const [saved, setSaved] = useState(getSavedSearches);
+  const [newCounts, setNewCounts] = useState({});
+  const [saveName, setSaveName] = useState(null);
+  const [editing, setEditing] = useState(null);
+
+  const menuRef = useRef(null);
+
+  // Close when clicking elsewhere or pressing Escape
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleMouseDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") setIsOpen(false);
+    };
+
+    document.addEventListener("mousedown", handleMouseDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", handleMouseDown);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [isOpen]);
+
+  // Check each saved search for results added since it last ran
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    getSavedSearches()
+      .filter((entry) => entry.lastNumFound !== null)
+      .forEach(async (entry) => {
+        try {
+          const numFound = await countSearchResults(entry.search);
+          if (cancelled || numFound === null) return;
+          setNewCounts((counts) => ({
+            ...counts,
+            [entry.id]: Math.max(0, numFound - entry.lastNumFound),
+          }));
+        } catch (error) {
+          console.warn(`Could not check saved search "${entry.name}":`, error);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen]);
+
+  const handleToggle = () => {
+    if (!isOpen) {
+      setHistory(getSearchHistory());
+      setSaved(getSavedSearches());
+      setView("menu");
+      setSaveName(null);
+      setEditing(null);
+    }
+    setIsOpen(!isOpen);
+  };
+
+  // Record the result count a saved search is compared against next time
+  const recordRun = async (id, search) => {
+    try {
+      const numFound = await countSearchResults(search);
+      if (numFound === null) return;
+      setSaved(
+        updateSavedSearch(id, { lastRunAt: Date.now(), lastNumFound: numFound })
+      );
+      setNewCounts((counts) => ({ ...counts, [id]: 0 }));
+    } catch (error) {
+      console.warn("Could not record saved search run:", error);
+    }
+  };
+
+  const handleRun = (search) => {
+    setIsOpen(false);
+    onRunSearch(search);
+  };
+
+  const handleRunSaved = (entry) => {
+    handleRun(entry.search);
+    recordRun(entry.id, entry.search);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!currentSearch || !saveName.trim()) return;
+
+    const next = saveSearch(saveName, currentSearch);
+    setSaved(next);
+    setSaveName(null);
+    recordRun(next[next.length - 1].id, currentSearch);
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (!editing.name.trim()) return;
+
+    setSaved(updateSavedSearch(editing.id, { name: editing.name.trim() }));
+    setEditing(null);
+  };
+
+  const handleDelete = (id) => {
+    setSaved(deleteSavedSearch(id));
+  };
+
+  const handleClearHistory = () => {
+    setHistory(clearSearchHistory());
+  };
+
+  const smallButtonClassName =
+    "px-2 py-1 text-xs rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 transition-colors";
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        type="button"
+        onClick={handleToggle}
+        disabled={disabled}
+        aria-expanded={isOpen}
+        aria-haspopup="true"
+        className="flex items-center space-x-1 px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 transition-colors"
+      >
+        <svg
+          className="w-4 h-4"
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
+          />
+        </svg>
+        <span>Searches</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-30 mt-2 w-80 sm:w-96 max-h-[28rem] overflow-auto bg-white border border-gray-200 rounded-lg shadow-lg p-3 text-left animate-fade-in">
+          {view === "menu" ? (
+            <>
+              {/* Save Current Search */}
+              {saveName === null ? (
+                <button
+                  type="button"
+                  onClick={() => setSaveName("")}
+                  disabled={!currentSearch}
+                  title={
+                    currentSearch ? undefined : "Enter a search to save it"
+                  }
+                  className="w-full px-3 py-2 text-sm text-left text-blue-700 bg-blue-50 rounded-md hover:bg-blue-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  + Save current search
+                </button>
+              ) : (
+                <form onSubmit={handleSave} className="flex gap-2">
+                  <input
+                    type="text"
+                    value={saveName}
+                    onChange={(e) => setSaveName(e.target.value)}
+                    placeholder="Name this search"
+                    aria-label="Saved search name"
+                    autoFocus
+                    className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    type="submit"
+                    disabled={!saveName.trim()}
+                    className={`${smallButtonClassName} bg-blue-600 text-white hover:bg-blue-700`}
+                  >
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setSaveName(null)}
+                    className={`${smallButtonClassName} text-gray-600 hover:bg-gray-100`}
+                  >
+                    Cancel
+                  </button>
+                </form>
+              )}
+
+              {/* Saved Searches */}
+              <h3 className="mt-3 mb-1 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                Saved searches
+              </h3>
+              {saved.length === 0 ? (
+                <p className="text-sm text-gray-500">No saved searches yet.</p>
+              ) : (
+                <ul className="space-y-1">
+                  {saved.map((entry) => (
+                    <li key={entry.id}>
+                      <button
+                        type="button"
+                        onClick={() => handleRunSaved(entry)}
+                        className="w-full px-2 py-1.5 text-left rounded-md hover:bg-gray-50"
+                      >
+                        <span className="flex items-center justify-between gap-2">
+                          <span className="text-sm font-medium text-black truncate">
+                            {entry.name}
+                          </span>
+                          {newCounts[entry.id] > 0 && (
+                            <span className="shrink-0 px-2 py-0.5 text-xs bg-green-100 text-green-800 rounded-full">
+                              +{newCounts[entry.id].toLocaleString()} new
+                            </span>
+                          )}
+                        </span>
+                        <span className="block text-xs text-gray-500 truncate">
+                          {describeSearch(entry.search)}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {/* Recent Searches */}
+              <h3 className="mt-3 mb-1 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                Recent searches
+              </h3>
+              {history.length === 0 ? (
+                <p className="text-sm text-gray-500">No recent searches.</p>
+              ) : (
+                <ul className="space-y-1">
+                  {history.map((entry) => (
+                    <li key={entry.searchedAt}>
+                      <button
+                        type="button"
+                        onClick={() => handleRun(entry.search)}
+                        className="w-full px-2 py-1.5 text-left text-sm text-gray-800 rounded-md hover:bg-gray-50 truncate"
+                      >
+                        {describeSearch(entry.search)}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="mt-3 pt-2 border-t border-gray-200 flex justify-between">
+                <button
+                  type="button"
+                  onClick={() => setView("manage")}
+                  className="text-sm text-blue-600 hover:text-blue-800"
+                >
+                  Manage saved searches
+                </button>
+                {history.length > 0 && (
+                  <button
+                    type="button"
+                    onClick={handleClearHistory}
+                    className="text-sm text-gray-600 hover:text-black"
+                  >
+                    Clear history
+                  </button>
+                )}
+              </div>
+            </>
+          ) : (
+            <>
+              {/* Manage Saved Searches */}
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-semibold text-black">
+                  Saved searches
+                </h3>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setView("menu");
+                    setEditing(null);
+                  }}
+                  className="text-sm text-blue-600 hover:text-blue-800"
+                >
+                  ← Back
+                </button>
+              </div>
+
+              {saved.length === 0 ? (
+                <p className="text-sm text-gray-500">No saved searches yet.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {saved.map((entry) => (
+                    <li key={entry.id} className="py-2">
+                      {editing?.id === entry.id ? (
+                        <form onSubmit={handleRename} className="flex gap-2">
+                          <input
+                            type="text"
+                            value={editing.name}
+                            onChange={(e) =>
+                              setEditing({ ...editing, name: e.target.value })
+                            }
+                            aria-label="New name"
+                            autoFocus
+                            className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                          <button
+                            type="submit"
+                            disabled={!editing.name.trim()}
+                            className={`${smallButtonClassName} bg-blue-600 text-white hover:bg-blue-700`}
+                          >
+                            Save
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setEditing(null)}
+                            className={`${smallButtonClassName} text-gray-600 hover:bg-gray-100`}
+                          >
+                            Cancel
+                          </button>
+                        </form>
+                      ) : (
+                        <p className="text-sm font-medium text-black truncate">
+                          {entry.name}
+                        </p>
+                      )}
+                      <p className="text-xs text-gray-500 truncate">
+                        {describeSearch(entry.search)}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        Last run: {formatRunTime(entry.lastRunAt)}
+                        {entry.lastNumFound !== null &&
+                          ` · ${entry.lastNumFound.toLocaleString()} results`}
+                      </p>
+                      <div className="flex gap-2 mt-1">
+                        <button
+                          type="button"
+                          onClick={() => handleRunSaved(entry)}
+                          className={`${smallButtonClassName} bg-blue-600 text-white hover:bg-blue-700`}
+                        >
+                          Re-run
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setEditing({ id: entry.id, name: entry.name })
+                          }
+                          className={`${smallButtonClassName} text-gray-700 border border-gray-300 hover:bg-gray-50`}
+                        >
+                          Rename
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(entry.id)}
+                          className={`${smallButtonClassName} text-red-700 border border-red-200 hover:bg-red-50`}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchHistoryMenu;
@@ -0,0 +1,114 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import ReadingProgress from "./ReadingProgress";
+import { useShelves } from "../context/useShelves";
+import { isDefaultShelf } from "../services/shelves";
+
+// Shelf controls for the detail page: one reading status at a time, any
+// number of custom shelves, and a field to start a new shelf
+const ShelfPanel = ({ book }) => {
+  const { shelves, getBookShelfIds, addToShelf, removeFromShelf, createShelf } =
+    useShelves();
+  const [newShelfName, setNewShelfName] = useState("");
+  const shelfIds = getBookShelfIds(book);
+
+  const defaultShelves = shelves.filter((shelf) => isDefaultShelf(shelf.id));
+  const customShelves = shelves.filter((shelf) => !isDefaultShelf(shelf.id));
+
+  const handleToggle = (shelfId) => {
+    if (shelfIds.includes(shelfId)) {
+      removeFromShelf(book, shelfId);
+    } else {
+      addToShelf(book, shelfId);
+    }
+  };
+
+  const handleCreateShelf = (e) => {
+    e.preventDefault();
+    if (!newShelfName.trim()) return;
+
+    addToShelf(book, createShelf(newShelfName));
+    setNewShelfName("");
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-black">My shelves</h3>
+        <Link
+          to="/shelves"
+          className="text-sm text-blue-600 hover:text-blue-800"
+        >
+          View shelves
+        </Link>
+      </div>
+
+      {/* Reading Status */}
+      <div
+        role="group"
+        aria-label="Reading status"
+        className="flex flex-wrap gap-2"
+      >
+        {defaultShelves.map((shelf) => (
+          <button
+            key={shelf.id}
+            type="button"
+            onClick={() => handleToggle(shelf.id)}
+            aria-pressed={shelfIds.includes(shelf.id)}
+            className={`px-3 py-1.5 text-sm rounded-full border transition-colors ${
+              shelfIds.includes(shelf.id)
+                ? "bg-green-600 border-green-600 text-white hover:bg-green-700"
+                : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+            }`}
+          >
+            {shelfIds.includes(shelf.id) && "✓ "}
+            {shelf.name}
+          </button>
+        ))}
+      </div>
+
+      <ReadingProgress book={book} />
+
+      {/* Custom Shelves */}
+      {customShelves.length > 0 && (
+        <fieldset className="flex flex-wrap gap-x-4 gap-y-2">
+          <legend className="sr-only">Custom shelves</legend>
+          {customShelves.map((shelf) => (
+            <label
+              key={shelf.id}
+              className="flex items-center space-x-2 text-sm text-gray-700"
+            >
+              <input
+                type="checkbox"
+                checked={shelfIds.includes(shelf.id)}
+                onChange={() => handleToggle(shelf.id)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span>{shelf.name}</span>
+            </label>
+          ))}
+        </fieldset>
+      )}
+
+      <form onSubmit={handleCreateShelf} className="flex gap-2">
+        <input
+          type="text"
+          value={newShelfName}
+          onChange={(e) => setNewShelfName(e.target.value)}
+          placeholder="New shelf name"
+          aria-label="New shelf name"
+          className="flex-1 min-w-0 px-3 py-1.5 text-sm border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={!newShelfName.trim()}
+          className="px-3 py-1.5 text-sm bg-black text-white rounded-md hover:bg-gray-800 disabled:opacity-50 transition-colors"
+        >
+          Add to new shelf
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ShelfPanel;
@@ -0,0 +1,71 @@
+import { useShelves } from "../context/useShelves";
+import { isDefaultShelf } from "../services/shelves";
+
+// Compact shelf control for cards: a native select listing add, move and
+// remove actions, so it stays usable inside the clickable card and above
+// neighbouring cards
+const ShelfSelect = ({ book, className = "" }) => {
+  const { shelves, getBookShelfIds, addToShelf, removeFromShelf } =
+    useShelves();
+  const shelfIds = getBookShelfIds(book);
+  const status = shelves.find(
+    (shelf) => isDefaultShelf(shelf.id) && shelfIds.includes(shelf.id)
+  );
+  const onShelves = shelves.filter((shelf) => shelfIds.includes(shelf.id));
+
+  const handleChange = (e) => {
+    const [action, shelfId] = e.target.value.split(":");
+    if (action === "add") addToShelf(book, shelfId);
+    if (action === "remove") removeFromShelf(book, shelfId);
+  };
+
+  return (
+    // Keep clicks and key presses from opening the book
+    <div
+      className={className}
+      onClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => e.stopPropagation()}
+    >
+      <select
+        value=""
+        onChange={handleChange}
+        aria-label={`Shelves for ${book.title || "this book"}`}
+        className={`w-full px-2 py-1 text-xs rounded-md border focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+          shelfIds.length > 0
+            ? "bg-green-50 border-green-300 text-green-800"
+            : "bg-white border-gray-300 text-gray-700"
+        }`}
+      >
+        <option value="" disabled>
+          {status
+            ? `✓ ${status.name}${
+                onShelves.length > 1 ? ` +${onShelves.length - 1}` : ""
+              }`
+            : onShelves.length > 0
+              ? `✓ ${onShelves.map((shelf) => shelf.name).join(", ")}`
+              : "+ Add to shelf"}
+        </option>
+        {shelves
+          .filter((shelf) => !shelfIds.includes(shelf.id))
+          .map((shelf) => (
+            <option key={shelf.id} value={`add:${shelf.id}`}>
+              {`${status && isDefaultShelf(shelf.id) ? "Move to" : "Add to"} ${
+                shelf.name
+              }`}
+            </option>
+          ))}
+        {onShelves.length > 0 && (
+          <optgroup label="Remove from">
+            {onShelves.map((shelf) => (
+              <option key={shelf.id} value={`remove:${shelf.id}`}>
+                {shelf.name}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+    </div>
+  );
+};
+
+export default ShelfSelect;
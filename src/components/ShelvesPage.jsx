@@ -0,0 +1,325 @@
+import { useState } from "react";
+import { useNavigate, Link } from "react-router-dom";
+import BookCard from "./BookCard";
+import BookListItem from "./BookListItem";
+import ExportMenu from "./ExportMenu";
+import { useTheme } from "../context/ThemeContext";
+import { useShelves } from "../context/useShelves";
+import { isDefaultShelf } from "../services/shelves";
+
+const ShelvesPage = () => {
+  const { isDarkMode } = useTheme();
+  const navigate = useNavigate();
+  const {
+    library,
+    shelves,
+    getShelfEntries,
+    createShelf,
+    renameShelf,
+    deleteShelf,
+    searchLibrary,
+  } = useShelves();
+  const [newShelfName, setNewShelfName] = useState("");
+  const [searchQuery, setSearchQuery] = useState("");
+  const [editing, setEditing] = useState(null); // { id, name }
+
+  const totalBooks = Object.keys(library.books).length;
+  const searchResults = searchQuery.trim() ? searchLibrary(searchQuery) : null;
+  const shelfName = (shelfId) =>
+    shelves.find((shelf) => shelf.id === shelfId)?.name;
+
+  const handleGoBack = () => {
+    navigate(-1);
+  };
+
+  const handleCreateShelf = (e) => {
+    e.preventDefault();
+    if (!newShelfName.trim()) return;
+
+    createShelf(newShelfName);
+    setNewShelfName("");
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (!editing.name.trim()) return;
+
+    renameShelf(editing.id, editing.name);
+    setEditing(null);
+  };
+
+  const handleDelete = (shelf) => {
+    if (
+      window.confirm(
+        `Delete the "${shelf.name}" shelf? Its books stay on your other shelves.`
+      )
+    ) {
+      deleteShelf(shelf.id);
+    }
+  };
+
+  return (
+    <div
+      className={`min-h-screen py-8 transition-colors duration-300 ${
+        isDarkMode ? "bg-slate-900" : "bg-gray-50"
+      }`}
+    >
+      <div className="container mx-auto px-4 max-w-6xl">
+        {/* Back Button */}
+        <div className="mb-6 animate-fade-in">
+          <button
+            onClick={handleGoBack}
+            className={`flex items-center space-x-2 transition-colors ${
+              isDarkMode
+                ? "text-white hover:text-gray-300"
+                : "text-gray-700 hover:text-gray-900"
+            }`}
+          >
+            <svg
+              className="w-5 h-5"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M15 19l-7-7 7-7"
+              />
+            </svg>
+            <span>Back</span>
+          </button>
+        </div>
+
+        {/* Shelves Overview */}
+        <div className="bg-white rounded-lg shadow-lg border border-gray-200 p-6 md:p-8 mb-8 animate-slide-up">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-1">
+            <h1 className="text-3xl font-bold text-black">My Shelves</h1>
+            <div className="flex gap-4">
+              <Link
+                to="/import"
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Import from Goodreads or StoryGraph
+              </Link>
+              <Link
+                to="/stats"
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Reading stats
+              </Link>
+            </div>
+          </div>
+          <p className="text-lg text-gray-600 mb-6">
+            {totalBooks.toLocaleString()} {totalBooks === 1 ? "book" : "books"}{" "}
+            on {shelves.length} shelves
+          </p>
+
+          <nav aria-label="Shelves" className="flex flex-wrap gap-2 mb-6">
+            {shelves.map((shelf) => (
+              <a
+                key={shelf.id}
+                href={`#${shelf.id}`}
+                className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm border border-gray-200 hover:bg-gray-200 transition-colors"
+              >
+                {shelf.name} ({getShelfEntries(shelf.id).length})
+              </a>
+            ))}
+          </nav>
+
+          <input
+            type="search"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search titles, authors, reviews and notes"
+            aria-label="Search my books"
+            className="w-full mb-4 px-3 py-2 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 placeholder-gray-500"
+          />
+
+          <form
+            onSubmit={handleCreateShelf}
+            className="flex flex-col sm:flex-row gap-2 max-w-lg"
+          >
+            <input
+              type="text"
+              value={newShelfName}
+              onChange={(e) => setNewShelfName(e.target.value)}
+              placeholder="e.g., Book club, Favourites"
+              aria-label="New shelf name"
+              className="flex-1 px-3 py-2 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 placeholder-gray-500"
+            />
+            <button
+              type="submit"
+              disabled={!newShelfName.trim()}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Create shelf
+            </button>
+          </form>
+        </div>
+
+        {/* Search Results */}
+        {searchResults && (
+          <section
+            aria-labelledby="search-results-heading"
+            className="bg-white rounded-lg shadow-lg border border-gray-200 p-6 md:p-8 mb-8 animate-fade-in"
+          >
+            <h2
+              id="search-results-heading"
+              className="text-2xl font-bold text-black mb-4"
+            >
+              {searchResults.length.toLocaleString()}{" "}
+              {searchResults.length === 1 ? "match" : "matches"} for &ldquo;
+              {searchQuery.trim()}&rdquo;
+            </h2>
+
+            {searchResults.length === 0 ? (
+              <p className="text-gray-600">
+                None of your books, reviews or notes mention that.
+              </p>
+            ) : (
+              <ul className="space-y-3">
+                {searchResults.map((result) => (
+                  <li key={result.bookId} className="space-y-1">
+                    <BookListItem book={result.book} />
+                    <div className="flex flex-wrap items-center gap-2 px-2 text-xs text-gray-600">
+                      {result.annotation?.rating && (
+                        <span className="font-semibold text-yellow-600">
+                          ★ {result.annotation.rating}
+                        </span>
+                      )}
+                      {result.shelfIds.map(shelfName).map((name) => (
+                        <span
+                          key={name}
+                          className="px-2 py-0.5 bg-gray-100 border border-gray-200 rounded-full"
+                        >
+                          {name}
+                        </span>
+                      ))}
+                    </div>
+                    {result.matches.map((match, index) => (
+                      <p
+                        key={index}
+                        className="px-2 text-sm text-gray-700 line-clamp-2"
+                      >
+                        <span className="font-medium capitalize">
+                          {match.field}:
+                        </span>{" "}
+                        {match.text}
+                      </p>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        )}
+
+        {/* One Section Per Shelf */}
+        <div className={`space-y-8 ${searchResults ? "hidden" : ""}`}>
+          {shelves.map((shelf) => {
+            const entries = getShelfEntries(shelf.id);
+
+            return (
+              <section
+                key={shelf.id}
+                id={shelf.id}
+                aria-labelledby={`${shelf.id}-heading`}
+                className="bg-white rounded-lg shadow-lg border border-gray-200 p-6 md:p-8 animate-fade-in-up scroll-mt-4"
+              >
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                  {editing?.id === shelf.id ? (
+                    <form onSubmit={handleRename} className="flex gap-2">
+                      <input
+                        type="text"
+                        value={editing.name}
+                        onChange={(e) =>
+                          setEditing({ ...editing, name: e.target.value })
+                        }
+                        aria-label="Shelf name"
+                        autoFocus
+                        className="px-3 py-1.5 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <button
+                        type="submit"
+                        disabled={!editing.name.trim()}
+                        className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                      >
+                        Save
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setEditing(null)}
+                        className="px-3 py-1.5 text-sm text-gray-600 hover:text-black"
+                      >
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <h2
+                      id={`${shelf.id}-heading`}
+                      className="text-2xl font-bold text-black"
+                    >
+                      {shelf.name}{" "}
+                      <span className="text-base font-normal text-gray-500">
+                        ({entries.length})
+                      </span>
+                    </h2>
+                  )}
+
+                  {editing?.id !== shelf.id && (
+                    <div className="flex gap-2">
+                      <ExportMenu
+                        books={entries.map((entry) => entry.book)}
+                        title={shelf.name}
+                      />
+                      {!isDefaultShelf(shelf.id) && (
+                        <>
+                          <button
+                            onClick={() =>
+                              setEditing({ id: shelf.id, name: shelf.name })
+                            }
+                            className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                          >
+                            Rename
+                          </button>
+                          <button
+                            onClick={() => handleDelete(shelf)}
+                            className="px-3 py-1.5 text-sm text-red-700 border border-red-200 rounded-md hover:bg-red-50 transition-colors"
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {entries.length === 0 ? (
+                  <p className="text-gray-600">
+                    No books on this shelf yet. Use the shelf menu on any book
+                    to add one.
+                  </p>
+                ) : (
+                  <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-2 sm:gap-3 md:gap-4 lg:gap-6">
+                    {entries.map((entry, index) => (
+                      <BookCard
+                        key={entry.bookId}
+                        book={entry.book}
+                        navigate={navigate}
+                        animationDelay={index * 50}
+                      />
+                    ))}
+                  </div>
+                )}
+              </section>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShelvesPage;
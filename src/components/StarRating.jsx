@@ -0,0 +1,69 @@
+import { useState } from "react";
+import { MAX_RATING } from "../services/annotations";
+
+const STAR_PATH =
+  "M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z";
+
+const Star = ({ className }) => (
+  <svg className={className} fill="currentColor" viewBox="0 0 24 24">
+    <path d={STAR_PATH} />
+  </svg>
+);
+
+// Five stars filled to the nearest half. With `onChange`, each star has a
+// left and right half to pick; choosing the current rating clears it.
+const StarRating = ({
+  value,
+  onChange,
+  label = "Rating",
+  size = "w-6 h-6",
+}) => {
+  const [hoverValue, setHoverValue] = useState(null);
+  const shown = hoverValue ?? value ?? 0;
+  const stars = Array.from({ length: MAX_RATING }, (_, index) => index + 1);
+
+  return (
+    <div
+      role={onChange ? "radiogroup" : "img"}
+      aria-label={onChange ? label : `${value || 0} out of ${MAX_RATING} stars`}
+      className="flex items-center"
+      onMouseLeave={() => setHoverValue(null)}
+    >
+      {stars.map((star) => {
+        const fill = Math.max(0, Math.min(1, shown - (star - 1)));
+
+        return (
+          <span key={star} className={`relative ${size}`}>
+            <Star className={`${size} text-gray-300`} />
+            <span
+              className="absolute inset-0 overflow-hidden"
+              style={{ width: `${fill * 100}%` }}
+            >
+              <Star className={`${size} text-yellow-400`} />
+            </span>
+
+            {onChange &&
+              [star - 0.5, star].map((rating) => (
+                <button
+                  key={rating}
+                  type="button"
+                  role="radio"
+                  aria-checked={value === rating}
+                  aria-label={`${rating} ${rating === 1 ? "star" : "stars"}`}
+                  onClick={() => onChange(value === rating ? null : rating)}
+                  onMouseEnter={() => setHoverValue(rating)}
+                  onFocus={() => setHoverValue(rating)}
+                  onBlur={() => setHoverValue(null)}
+                  className={`absolute inset-y-0 w-1/2 cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 rounded-sm ${
+                    rating === star ? "right-0" : "left-0"
+                  }`}
+                />
+              ))}
+          </span>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StarRating;
@@ -0,0 +1,315 @@
+import { useState } from "react";
+import { useNavigate, Link } from "react-router-dom";
+import { useTheme } from "../context/ThemeContext";
+import { useShelves } from "../context/useShelves";
+import { getReadingStats } from "../services/readingStats";
+import { toSubjectSlug } from "../services/bookService";
+
+// Horizontal bars scaled to the largest value in the list
+const StatBars = ({ rows, emptyText }) => {
+  if (rows.length === 0) {
+    return <p className="text-sm text-gray-600">{emptyText}</p>;
+  }
+
+  const max = Math.max(1, ...rows.map((row) => row.value));
+
+  return (
+    <ul className="space-y-1 text-xs text-gray-600">
+      {rows.map((row) => (
+        <li key={row.key} className="flex items-center gap-2">
+          <span className="w-28 shrink-0 truncate" title={row.title}>
+            {row.label}
+          </span>
+          <div className="flex-1 h-3 bg-gray-100 rounded">
+            <div
+              className="h-3 bg-blue-500 rounded"
+              style={{ width: `${(row.value / max) * 100}%` }}
+            />
+          </div>
+          <span className="w-16 shrink-0 text-right">
+            {row.value.toLocaleString()}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const StatsPage = () => {
+  const { isDarkMode } = useTheme();
+  const navigate = useNavigate();
+  const { library, setReadingGoal } = useShelves();
+  const [year, setYear] = useState(() => new Date().getFullYear());
+  const [goalDraft, setGoalDraft] = useState(null);
+
+  const stats = getReadingStats(library, year);
+  const monthLabel = (month) =>
+    new Date(2000, month).toLocaleString(undefined, { month: "short" });
+
+  const handleGoBack = () => {
+    navigate(-1);
+  };
+
+  const handleGoalSubmit = (e) => {
+    e.preventDefault();
+    setReadingGoal(year, goalDraft);
+    setGoalDraft(null);
+  };
+
+  const summary = [
+    { label: `Books read in ${year}`, value: stats.yearSummary.books },
+    { label: `Pages read in ${year}`, value: stats.yearSummary.pages },
+    {
+      label: "Average days to finish",
+      value: stats.averageDaysToFinish ?? "-",
+    },
+    { label: "Currently reading", value: stats.readingCount },
+  ];
+
+  return (
+    <div
+      className={`min-h-screen py-8 transition-colors duration-300 ${
+        isDarkMode ? "bg-slate-900" : "bg-gray-50"
+      }`}
+    >
+      <div className="container mx-auto px-4 max-w-6xl">
+        {/* Back Button */}
+        <div className="mb-6 animate-fade-in">
+          <button
+            onClick={handleGoBack}
+            className={`flex items-center space-x-2 transition-colors ${
+              isDarkMode
+                ? "text-white hover:text-gray-300"
+                : "text-gray-700 hover:text-gray-900"
+            }`}
+          >
+            <svg
+              className="w-5 h-5"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M15 19l-7-7 7-7"
+              />
+            </svg>
+            <span>Back</span>
+          </button>
+        </div>
+
+        {/* Overview */}
+        <div className="bg-white rounded-lg shadow-lg border border-gray-200 p-6 md:p-8 mb-8 animate-slide-up">
+          <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+            <div>
+              <h1 className="text-3xl font-bold text-black mb-1">
+                Reading Stats
+              </h1>
+              <p className="text-lg text-gray-600">
+                {stats.readCount.toLocaleString()}{" "}
+                {stats.readCount === 1 ? "book" : "books"} read in total
+              </p>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <span>Year</span>
+              <select
+                value={year}
+                onChange={(e) => {
+                  setYear(Number(e.target.value));
+                  setGoalDraft(null);
+                }}
+                className="px-3 py-2 border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {stats.years.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <dl className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {summary.map((item) => (
+              <div
+                key={item.label}
+                className="p-4 bg-gray-50 border border-gray-200 rounded-md"
+              >
+                <dt className="text-sm text-gray-600">{item.label}</dt>
+                <dd className="text-2xl font-bold text-black">
+                  {item.value.toLocaleString()}
+                </dd>
+              </div>
+            ))}
+          </dl>
+
+          {/* Yearly Goal */}
+          <div className="p-4 bg-gray-50 border border-gray-200 rounded-md">
+            <h2 className="font-semibold text-black mb-2">{year} goal</h2>
+            {stats.goal && (
+              <div className="mb-3">
+                <div
+                  role="progressbar"
+                  aria-label={`${year} reading goal`}
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={stats.goal.percent}
+                  className="h-3 bg-gray-200 rounded-full overflow-hidden"
+                >
+                  <div
+                    className="h-full bg-green-600 transition-all duration-300"
+                    style={{ width: `${stats.goal.percent}%` }}
+                  />
+                </div>
+                <p className="mt-1 text-sm text-gray-700">
+                  {stats.goal.read} of {stats.goal.target} books (
+                  {stats.goal.percent}%)
+                  {stats.goal.read >= stats.goal.target
+                    ? " - goal reached!"
+                    : ` - ${stats.goal.target - stats.goal.read} to go`}
+                </p>
+              </div>
+            )}
+            <form onSubmit={handleGoalSubmit} className="flex gap-2">
+              <input
+                type="number"
+                min="0"
+                value={goalDraft ?? stats.goal?.target ?? ""}
+                onChange={(e) => setGoalDraft(e.target.value)}
+                placeholder="Books to read"
+                aria-label={`Books to read in ${year}`}
+                className="w-36 px-3 py-1.5 text-sm border border-gray-300 bg-white text-black rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={goalDraft === null}
+                className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                {stats.goal ? "Update goal" : "Set goal"}
+              </button>
+            </form>
+          </div>
+        </div>
+
+        {stats.readCount === 0 ? (
+          <div className="bg-white rounded-lg shadow-md p-6 border border-gray-200 text-gray-700">
+            Nothing on your Read shelf yet. Mark books as read from their page
+            or from{" "}
+            <Link to="/shelves" className="text-blue-600 hover:text-blue-800">
+              My Shelves
+            </Link>{" "}
+            to see your stats.
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Per Month */}
+            <section className="bg-white rounded-lg shadow-md p-6 border border-gray-200">
+              <h2 className="text-lg font-semibold text-black mb-3">
+                Books per month, {year}
+              </h2>
+              <StatBars
+                rows={stats.months.map((row) => ({
+                  key: row.period,
+                  label: monthLabel(row.period),
+                  value: row.books,
+                }))}
+              />
+              <h3 className="font-semibold text-black mt-5 mb-3">
+                Pages per month, {year}
+              </h3>
+              <StatBars
+                rows={stats.months.map((row) => ({
+                  key: row.period,
+                  label: monthLabel(row.period),
+                  value: row.pages,
+                }))}
+              />
+            </section>
+
+            {/* Per Year */}
+            <section className="bg-white rounded-lg shadow-md p-6 border border-gray-200">
+              <h2 className="text-lg font-semibold text-black mb-3">
+                Books per year
+              </h2>
+              <StatBars
+                rows={stats.yearTotals.map((row) => ({
+                  key: row.period,
+                  label: row.period,
+                  value: row.books,
+                }))}
+              />
+              <h3 className="font-semibold text-black mt-5 mb-3">
+                Pages per year
+              </h3>
+              <StatBars
+                rows={stats.yearTotals.map((row) => ({
+                  key: row.period,
+                  label: row.period,
+                  value: row.pages,
+                }))}
+              />
+            </section>
+
+            {/* Top Authors */}
+            <section className="bg-white rounded-lg shadow-md p-6 border border-gray-200">
+              <h2 className="text-lg font-semibold text-black mb-3">
+                Top authors
+              </h2>
+              <StatBars
+                rows={stats.topAuthors.map((row) => ({
+                  key: row.value,
+                  label: row.value,
+                  title: row.value,
+                  value: row.count,
+                }))}
+                emptyText="No authors recorded for your read books."
+              />
+            </section>
+
+            {/* Top Subjects */}
+            <section className="bg-white rounded-lg shadow-md p-6 border border-gray-200">
+              <h2 className="text-lg font-semibold text-black mb-3">
+                Top subjects
+              </h2>
+              <StatBars
+                rows={stats.topSubjects.map((row) => ({
+                  key: row.value,
+                  label: (
+                    <Link
+                      to={`/subject/${toSubjectSlug(row.value)}`}
+                      className="text-blue-600 hover:text-blue-800 hover:underline"
+                    >
+                      {row.value}
+                    </Link>
+                  ),
+                  title: row.value,
+                  value: row.count,
+                }))}
+                emptyText="Open a read book's page to record its subjects."
+              />
+            </section>
+
+            {/* Publication Decades */}
+            <section className="bg-white rounded-lg shadow-md p-6 border border-gray-200 md:col-span-2">
+              <h2 className="text-lg font-semibold text-black mb-3">
+                Read books by decade first published
+              </h2>
+              <StatBars
+                rows={stats.decades.map((row) => ({
+                  key: row.value,
+                  label: `${row.value}s`,
+                  value: row.count,
+                }))}
+                emptyText="No publication years recorded for your read books."
+              />
+            </section>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StatsPage;
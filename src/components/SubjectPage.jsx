@@ -0,0 +1,335 @@
+import { useState, useEffect, useRef } from "react";
+import { useParams, useNavigate, Link } from "react-router-dom";
+import BookCard from "./BookCard";
+import PaginationControls from "./PaginationControls";
+import {
+  getSubject,
+  describeError,
+  ERROR_TYPES,
+} from "../services/bookService";
+import { useTheme } from "../context/ThemeContext";
+
+const WORKS_PER_PAGE = 18;
+
+/**
+ * Group Open Library's per-year publishing history into decades
+ * @param {Array<{year: number, count: number}>} history - Editions per year
+ * @returns {Array<{decade: number, count: number}>} Editions per decade, oldest first
+ */
+const groupByDecade = (history) => {
+  const decades = new Map();
+
+  history.forEach(({ year, count }) => {
+    if (!year) return;
+    const decade = Math.floor(year / 10) * 10;
+    decades.set(decade, (decades.get(decade) || 0) + count);
+  });
+
+  return [...decades.entries()]
+    .map(([decade, count]) => ({ decade, count }))
+    .sort((a, b) => a.decade - b.decade);
+};
+
+const SubjectPage = () => {
+  const { isDarkMode } = useTheme();
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const [subject, setSubject] = useState(null);
+  const [works, setWorks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [isPageTurning, setIsPageTurning] = useState(false);
+  const [pageError, setPageError] = useState(null);
+  // Subject the page on screen belongs to, so a page turn that finishes
+  // after moving to another subject is dropped
+  const slugRef = useRef(slug);
+
+  // First page with details (related subjects, authors, history)
+  useEffect(() => {
+    let isCancelled = false;
+
+    const fetchSubject = async () => {
+      slugRef.current = slug;
+      setLoading(true);
+      setError(null);
+      setPageError(null);
+      setIsPageTurning(false);
+      setCurrentPage(1);
+
+      try {
+        const data = await getSubject(slug, 1, WORKS_PER_PAGE, true);
+        if (isCancelled) return;
+        setSubject(data);
+        setWorks(data.docs);
+      } catch (err) {
+        if (isCancelled) return;
+        const { title, message } = describeError(err, "subject");
+        setError({
+          title:
+            err.type === ERROR_TYPES.NOT_FOUND ? "Subject Not Found" : title,
+          message,
+        });
+      } finally {
+        if (!isCancelled) setLoading(false);
+      }
+    };
+
+    fetchSubject();
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [slug]);
+
+  const handleGoBack = () => {
+    navigate(-1);
+  };
+
+  const handlePageChange = async (newPage) => {
+    if (newPage === currentPage || isPageTurning) return;
+
+    const requestSlug = slug;
+    setIsPageTurning(true);
+    setPageError(null);
+
+    try {
+      // Later pages skip the details, which only the header needs
+      const [data] = await Promise.all([
+        getSubject(requestSlug, newPage, WORKS_PER_PAGE),
+        new Promise((resolve) => setTimeout(resolve, 300)),
+      ]);
+      if (slugRef.current !== requestSlug) return;
+      setWorks(data.docs);
+      setCurrentPage(newPage);
+    } catch (err) {
+      if (slugRef.current !== requestSlug) return;
+      // Keep the loaded subject and explain below the works
+      setPageError(describeError(err, "page").message);
+    } finally {
+      if (slugRef.current === requestSlug) setIsPageTurning(false);
+    }
+  };
+
+  if (loading || error) {
+    return (
+      <div
+        className={`min-h-screen flex items-center justify-center transition-colors duration-300 ${
+          isDarkMode ? "bg-slate-900" : "bg-gray-50"
+        }`}
+      >
+        <div className="bg-white rounded-lg shadow-md p-8 border border-gray-200 max-w-md text-center">
+          {loading ? (
+            <div className="flex items-center justify-center">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-black"></div>
+              <span className="ml-3 text-gray-700">Loading subject...</span>
+            </div>
+          ) : (
+            <>
+              <h3 className="text-lg font-medium mb-2 text-black">
+                {error.title}
+              </h3>
+              <p className="text-gray-700 mb-4">{error.message}</p>
+              <button
+                onClick={handleGoBack}
+                className="px-4 py-2 bg-black text-white rounded-md hover:bg-gray-800 transition-colors"
+              >
+                Go Back
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const totalPages = Math.ceil(subject.work_count / WORKS_PER_PAGE);
+  const startIndex = (currentPage - 1) * WORKS_PER_PAGE;
+  const decades = groupByDecade(subject.publishing_history || []);
+  const maxDecadeCount = Math.max(1, ...decades.map((d) => d.count));
+
+  return (
+    <div
+      className={`min-h-screen py-8 transition-colors duration-300 ${
+        isDarkMode ? "bg-slate-900" : "bg-gray-50"
+      }`}
+    >
+      <div className="container mx-auto px-4 max-w-6xl">
+        {/* Back Button */}
+        <div className="mb-6 animate-fade-in">
+          <button
+            onClick={handleGoBack}
+            className={`flex items-center space-x-2 transition-colors ${
+              isDarkMode
+                ? "text-white hover:text-gray-300"
+                : "text-gray-700 hover:text-gray-900"
+            }`}
+          >
+            <svg
+              className="w-5 h-5"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M15 19l-7-7 7-7"
+              />
+            </svg>
+            <span>Back</span>
+          </button>
+        </div>
+
+        {/* Subject Overview */}
+        <div className="bg-white rounded-lg shadow-lg border border-gray-200 p-6 md:p-8 mb-8 animate-slide-up">
+          <h1 className="text-3xl font-bold text-black mb-1 capitalize">
+            {subject.name}
+          </h1>
+          <p className="text-lg text-gray-600 mb-6">
+            {subject.work_count.toLocaleString()} works
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {/* Related Subjects */}
+            {subject.related_subjects?.length > 0 && (
+              <div>
+                <h3 className="font-semibold text-black mb-2">
+                  Related subjects:
+                </h3>
+                <div className="flex flex-wrap gap-2">
+                  {subject.related_subjects
+                    .filter((related) => related.slug !== slug)
+                    .slice(0, 12)
+                    .map((related) => (
+                      <Link
+                        key={related.slug}
+                        to={`/subject/${related.slug}`}
+                        className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm border border-gray-200 hover:bg-gray-200 transition-colors"
+                      >
+                        {related.name}
+                      </Link>
+                    ))}
+                </div>
+              </div>
+            )}
+
+            {/* Top Authors */}
+            {subject.top_authors?.length > 0 && (
+              <div>
+                <h3 className="font-semibold text-black mb-2">Top authors:</h3>
+                <ol className="space-y-1 text-sm">
+                  {subject.top_authors.slice(0, 8).map((author) => (
+                    <li
+                      key={author.id || author.name}
+                      className="flex justify-between gap-2"
+                    >
+                      {author.id ? (
+                        <Link
+                          to={`/author/${author.id}`}
+                          className="text-blue-600 hover:text-blue-800 hover:underline truncate"
+                        >
+                          {author.name}
+                        </Link>
+                      ) : (
+                        <span className="text-gray-700 truncate">
+                          {author.name}
+                        </span>
+                      )}
+                      <span className="text-gray-500 shrink-0">
+                        {author.count.toLocaleString()}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+
+            {/* Publishing Years */}
+            {decades.length > 0 && (
+              <div>
+                <h3 className="font-semibold text-black mb-2">
+                  Editions published by decade:
+                </h3>
+                <ul className="space-y-1 text-xs text-gray-600">
+                  {decades.slice(-12).map(({ decade, count }) => (
+                    <li key={decade} className="flex items-center gap-2">
+                      <span className="w-12 shrink-0">{decade}s</span>
+                      <div className="flex-1 h-3 bg-gray-100 rounded">
+                        <div
+                          className="h-3 bg-blue-500 rounded"
+                          style={{
+                            width: `${(count / maxDecadeCount) * 100}%`,
+                          }}
+                        />
+                      </div>
+                      <span className="w-14 shrink-0 text-right">
+                        {count.toLocaleString()}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Works */}
+        <div className="bg-white rounded-lg shadow-md p-3 md:p-6 border border-gray-200">
+          <h2 className="text-lg md:text-xl font-semibold text-black mb-3 md:mb-4">
+            Works
+          </h2>
+
+          {works.length === 0 ? (
+            <p className="text-gray-700 text-center p-8">
+              No works found for this subject.
+            </p>
+          ) : (
+            <div
+              className={`page-turning ${
+                isPageTurning
+                  ? "books-grid-turning-out"
+                  : "books-grid-turning-in"
+              }`}
+            >
+              <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-2 sm:gap-3 md:gap-4 lg:gap-6">
+                {works.map((work, index) => (
+                  <BookCard
+                    key={`${work.key}-${currentPage}`}
+                    book={work}
+                    navigate={navigate}
+                    isPageTurning={isPageTurning}
+                    animationDelay={index * 50}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          {pageError && (
+            <p className="text-sm text-red-600 text-center mt-4" role="alert">
+              {pageError}
+            </p>
+          )}
+
+          {totalPages > 1 && (
+            <PaginationControls
+              currentPage={currentPage}
+              totalPages={totalPages}
+              onPageChange={handlePageChange}
+              isPageTurning={isPageTurning}
+              totalBooks={subject.work_count}
+              currentRange={{
+                start: startIndex + 1,
+                end: startIndex + works.length,
+              }}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SubjectPage;
@@ -0,0 +1,176 @@
+import { useState, useEffect, useRef } from "react";
+import { getSuggestions, isAbortError } from "../services/bookService";
+
+const SUGGEST_DELAY = 200; // ms after the last keystroke
+const MIN_SUGGEST_LENGTH = 2;
+
+// Split a label around the first case-insensitive match of the typed text
+const HighlightedMatch = ({ text, match }) => {
+  const index = text.toLowerCase().indexOf(match.trim().toLowerCase());
+  if (!match.trim() || index === -1) return text;
+
+  const end = index + match.trim().length;
+  return (
+    <>
+      {text.slice(0, index)}
+      <mark className="bg-yellow-100 text-inherit rounded-sm">
+        {text.slice(index, end)}
+      </mark>
+      {text.slice(end)}
+    </>
+  );
+};
+
+// Text input with a keyboard-navigable suggestion dropdown. Picking a
+// suggestion only fills the field; searching is left to the form.
+const SuggestInput = ({
+  id,
+  field,
+  value,
+  onChange,
+  placeholder,
+  className,
+}) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // Only text the user typed should fetch suggestions, not a picked one
+  const hasTypedRef = useRef(false);
+
+  useEffect(() => {
+    if (!hasTypedRef.current || value.trim().length < MIN_SUGGEST_LENGTH) {
+      setSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(async () => {
+      try {
+        const results = await getSuggestions(field, value, {
+          signal: controller.signal,
+        });
+        if (controller.signal.aborted) return;
+        setSuggestions(results);
+        setActiveIndex(-1);
+        setIsOpen(results.length > 0);
+      } catch (error) {
+        if (!isAbortError(error)) {
+          console.warn(`Suggestions for ${field} failed:`, error);
+        }
+      }
+    }, SUGGEST_DELAY);
+
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [field, value]);
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const handleInput = (e) => {
+    hasTypedRef.current = true;
+    onChange(e.target.value);
+  };
+
+  const selectSuggestion = (suggestion) => {
+    hasTypedRef.current = false;
+    onChange(suggestion.value);
+    close();
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen || suggestions.length === 0) return;
+
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        setActiveIndex((index) => (index + 1) % suggestions.length);
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        setActiveIndex(
+          (index) => (index <= 0 ? suggestions.length : index) - 1
+        );
+        break;
+      case "Enter":
+        // With nothing highlighted, Enter submits the form as usual
+        if (activeIndex >= 0) {
+          e.preventDefault();
+          selectSuggestion(suggestions[activeIndex]);
+        }
+        break;
+      case "Escape":
+        e.preventDefault();
+        close();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const listboxId = `${id}-suggestions`;
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        id={id}
+        value={value}
+        onChange={handleInput}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(suggestions.length > 0)}
+        onBlur={close}
+        placeholder={placeholder}
+        autoComplete="off"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={isOpen}
+        aria-controls={listboxId}
+        aria-activedescendant={
+          activeIndex >= 0 ? `${listboxId}-${activeIndex}` : undefined
+        }
+        className={className}
+      />
+
+      {isOpen && (
+        <ul
+          id={listboxId}
+          role="listbox"
+          className="absolute z-20 mt-1 w-full max-h-72 overflow-auto bg-white border border-gray-200 rounded-md shadow-lg py-1"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.value}-${index}`}
+              id={`${listboxId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input so the blur doesn't close the list first
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectSuggestion(suggestion)}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-3 py-2 cursor-pointer ${
+                index === activeIndex ? "bg-blue-50" : ""
+              }`}
+            >
+              <div className="text-sm text-black truncate">
+                <HighlightedMatch text={suggestion.label} match={value} />
+              </div>
+              {suggestion.detail && (
+                <div className="text-xs text-gray-500 truncate">
+                  {suggestion.detail}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SuggestInput;
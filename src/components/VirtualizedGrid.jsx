@@ -0,0 +1,196 @@
+import {
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useCallback,
+} from "react";
+
+const ESTIMATED_ROW_HEIGHT = 320; // px, until a row has been measured
+const SCROLL_STEP = 100; // px of scrolling between visible-range checks
+
+// Responsive grid that only mounts the rows near the viewport. Column count
+// and gap come from `gridClassName`, so it lays out like a plain grid with
+// the same classes. Rows are measured as they render; rows never seen use
+// the average height. The row holding keyboard focus stays mounted so
+// tabbing through the cards keeps working while the page scrolls.
+const VirtualizedGrid = ({ items, getItemKey, renderItem, gridClassName }) => {
+  const containerRef = useRef(null);
+  const probeRef = useRef(null);
+  const rowsRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const [layout, setLayout] = useState({ columns: 1, rowGap: 0 });
+  const [viewport, setViewport] = useState({
+    top: 0,
+    bottom: window.innerHeight,
+  });
+  const [, setMeasureVersion] = useState(0);
+  const [focusedRow, setFocusedRow] = useState(null);
+
+  // Read the column count and gap the grid classes resolve to at this width
+  useLayoutEffect(() => {
+    const probe = probeRef.current;
+
+    const readLayout = () => {
+      const style = getComputedStyle(probe);
+      const columns =
+        style.gridTemplateColumns.split(" ").filter(Boolean).length || 1;
+      const rowGap = parseFloat(style.rowGap) || 0;
+
+      setLayout((prev) => {
+        if (prev.columns === columns && prev.rowGap === rowGap) return prev;
+        // Rows hold different items now, so their heights are stale
+        if (prev.columns !== columns) heightsRef.current.clear();
+        return { columns, rowGap };
+      });
+    };
+
+    readLayout();
+    const observer = new ResizeObserver(readLayout);
+    observer.observe(probe);
+    return () => observer.disconnect();
+  }, []);
+
+  // Track which part of the grid is on screen, in SCROLL_STEP increments so
+  // scrolling doesn't re-render on every frame
+  useEffect(() => {
+    let frame = null;
+
+    const update = () => {
+      frame = null;
+      const top = -containerRef.current.getBoundingClientRect().top;
+      const stepped = Math.floor(top / SCROLL_STEP) * SCROLL_STEP;
+      setViewport((prev) =>
+        prev.top === stepped &&
+        prev.bottom === stepped + window.innerHeight + SCROLL_STEP
+          ? prev
+          : { top: stepped, bottom: stepped + window.innerHeight + SCROLL_STEP }
+      );
+    };
+    const scheduleUpdate = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    window.addEventListener("scroll", scheduleUpdate, { passive: true });
+    window.addEventListener("resize", scheduleUpdate);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", scheduleUpdate);
+      window.removeEventListener("resize", scheduleUpdate);
+    };
+  }, [items.length]);
+
+  // Record the height of every mounted row
+  const measureRows = useCallback(() => {
+    let changed = false;
+
+    rowsRef.current?.querySelectorAll("[data-row]").forEach((row) => {
+      const index = Number(row.dataset.row);
+      if (heightsRef.current.get(index) !== row.offsetHeight) {
+        heightsRef.current.set(index, row.offsetHeight);
+        changed = true;
+      }
+    });
+
+    if (changed) setMeasureVersion((version) => version + 1);
+  }, []);
+
+  useLayoutEffect(measureRows);
+
+  // Rows also resize after render, e.g. when a cover image loads
+  useEffect(() => {
+    const observer = new ResizeObserver(measureRows);
+    observer.observe(rowsRef.current);
+    return () => observer.disconnect();
+  }, [measureRows]);
+
+  const { columns, rowGap } = layout;
+  const rowCount = Math.ceil(items.length / columns);
+  const heights = [...heightsRef.current.values()];
+  const estimatedHeight =
+    heights.length > 0
+      ? heights.reduce((sum, height) => sum + height, 0) / heights.length
+      : ESTIMATED_ROW_HEIGHT;
+  const rowHeight = (row) =>
+    (heightsRef.current.get(row) ?? estimatedHeight) + rowGap;
+  const offsetOf = (row) => {
+    let offset = 0;
+    for (let index = 0; index < row; index++) offset += rowHeight(index);
+    return offset;
+  };
+
+  // Mount a screen's worth of rows above and below the visible ones
+  const overscan = viewport.bottom - viewport.top;
+  let startRow = 0;
+  let startOffset = 0;
+  while (
+    startRow < rowCount - 1 &&
+    startOffset + rowHeight(startRow) < viewport.top - overscan
+  ) {
+    startOffset += rowHeight(startRow);
+    startRow++;
+  }
+  let endRow = startRow;
+  let endOffset = startOffset;
+  while (endRow < rowCount && endOffset < viewport.bottom + overscan) {
+    endOffset += rowHeight(endRow);
+    endRow++;
+  }
+
+  // Keep the focused card mounted even when it scrolls out of range
+  if (focusedRow !== null && focusedRow < rowCount) {
+    startRow = Math.min(startRow, focusedRow);
+    endRow = Math.max(endRow, focusedRow + 1);
+  }
+
+  const handleFocus = (e) => {
+    const row = e.target.closest("[data-row]");
+    if (row) setFocusedRow(Number(row.dataset.row));
+  };
+
+  const handleBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setFocusedRow(null);
+  };
+
+  const rows = [];
+  for (let row = startRow; row < endRow; row++) {
+    const start = row * columns;
+    rows.push(
+      <div
+        key={row}
+        data-row={row}
+        className={gridClassName}
+        style={{ marginBottom: rowGap }}
+      >
+        {items.slice(start, start + columns).map((item, offset) => (
+          <div key={getItemKey(item, start + offset)}>
+            {renderItem(item, start + offset)}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div ref={containerRef} onFocus={handleFocus} onBlur={handleBlur}>
+      {/* Empty grid with the real classes, read for columns and gap */}
+      <div
+        ref={probeRef}
+        aria-hidden="true"
+        className={`${gridClassName} h-0 overflow-hidden`}
+      />
+      <div
+        ref={rowsRef}
+        style={{
+          paddingTop: offsetOf(startRow),
+          paddingBottom: offsetOf(rowCount) - offsetOf(endRow),
+        }}
+      >
+        {rows}
+      </div>
+    </div>
+  );
+};
+
+export default VirtualizedGrid;
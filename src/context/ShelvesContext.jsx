@@ -0,0 +1,127 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { ShelvesContext } from "./useShelves";
+import { getBookId } from "../services/bookService";
+import {
+  loadLibrary,
+  saveLibrary,
+  addBookToShelf,
+  removeBookFromShelf,
+  moveBookToShelf,
+  createShelf,
+  createShelfId,
+  renameShelf,
+  deleteShelf,
+  getShelfEntries,
+  updateReadingProgress,
+  setReadingGoal,
+} from "../services/shelves";
+import {
+  rateBook,
+  setBookReview,
+  addBookNote,
+  deleteBookNote,
+  searchLibrary,
+} from "../services/annotations";
+import { importBooks } from "../services/libraryImport";
+
+// Personal shelves, ratings and notes shared by the cards, the detail page,
+// /shelves and /stats. Books are identified by their route ID, so the same
+// book found again in a later search shows up as already shelved.
+export const ShelvesProvider = ({ children }) => {
+  const [library, setLibrary] = useState(loadLibrary);
+
+  // Save to localStorage
+  useEffect(() => {
+    saveLibrary(library);
+  }, [library]);
+
+  const getBookEntry = useCallback(
+    (book) => library.books[getBookId(book)] || null,
+    [library]
+  );
+
+  const getBookShelfIds = useCallback(
+    (book) => getBookEntry(book)?.shelfIds || [],
+    [getBookEntry]
+  );
+
+  const addToShelf = useCallback((book, shelfId) => {
+    setLibrary((prev) => addBookToShelf(prev, getBookId(book), book, shelfId));
+  }, []);
+
+  const removeFromShelf = useCallback((book, shelfId) => {
+    setLibrary((prev) => removeBookFromShelf(prev, getBookId(book), shelfId));
+  }, []);
+
+  const moveToShelf = useCallback((book, fromShelfId, toShelfId) => {
+    setLibrary((prev) =>
+      moveBookToShelf(prev, getBookId(book), fromShelfId, toShelfId)
+    );
+  }, []);
+
+  const getAnnotation = useCallback(
+    (book) => library.annotations[getBookId(book)] || null,
+    [library]
+  );
+
+  const updateProgress = useCallback((book, changes) => {
+    setLibrary((prev) => updateReadingProgress(prev, getBookId(book), changes));
+  }, []);
+
+  // Returns the new shelf's ID so callers can put a book on it straight away;
+  // the ID is made up front so the update can build on the latest library
+  const addShelf = useCallback((name) => {
+    const shelfId = createShelfId();
+    setLibrary((prev) => createShelf(prev, name, shelfId));
+    return shelfId;
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      library,
+      shelves: library.shelves,
+      getBookEntry,
+      getBookShelfIds,
+      getShelfEntries: (shelfId) => getShelfEntries(library, shelfId),
+      addToShelf,
+      removeFromShelf,
+      moveToShelf,
+      updateProgress,
+      createShelf: addShelf,
+      renameShelf: (shelfId, name) =>
+        setLibrary((prev) => renameShelf(prev, shelfId, name)),
+      deleteShelf: (shelfId) =>
+        setLibrary((prev) => deleteShelf(prev, shelfId)),
+      setReadingGoal: (year, count) =>
+        setLibrary((prev) => setReadingGoal(prev, year, count)),
+      getAnnotation,
+      rateBook: (book, rating) =>
+        setLibrary((prev) => rateBook(prev, getBookId(book), book, rating)),
+      setReview: (book, review) =>
+        setLibrary((prev) =>
+          setBookReview(prev, getBookId(book), book, review)
+        ),
+      addNote: (book, text) =>
+        setLibrary((prev) => addBookNote(prev, getBookId(book), book, text)),
+      deleteNote: (book, noteId) =>
+        setLibrary((prev) => deleteBookNote(prev, getBookId(book), noteId)),
+      searchLibrary: (query) => searchLibrary(library, query),
+      importBooks: (items) => setLibrary((prev) => importBooks(prev, items)),
+    }),
+    [
+      library,
+      getBookEntry,
+      getBookShelfIds,
+      addToShelf,
+      removeFromShelf,
+      moveToShelf,
+      updateProgress,
+      addShelf,
+      getAnnotation,
+    ]
+  );
+
+  return (
+    <ShelvesContext.Provider value={value}>{children}</ShelvesContext.Provider>
+  );
+};
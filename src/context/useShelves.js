@@ -0,0 +1,11 @@
+import { createContext, useContext } from "react";
+
+export const ShelvesContext = createContext();
+
+export const useShelves = () => {
+  const context = useContext(ShelvesContext);
+  if (!context) {
+    throw new Error("useShelves must be used within a ShelvesProvider");
+  }
+  return context;
+};
@@ -0,0 +1,181 @@
+/**
+ * Annotations
+ * The reader's own rating, review and private notes for a work, kept in the
+ * personal library (see shelves.js) under `annotations`, keyed by the same
+ * route book ID as the shelves:
+ * { [bookId]: { book, rating, review, reviewedAt, notes, updatedAt } }
+ * where notes are [{ id, text, createdAt }], newest first.
+ *
+ * A book can be rated or annotated without being on a shelf; its annotation
+ * is dropped once it has no rating, review or notes left.
+ */
+
+import { toShelfBook } from "./shelves";
+
+export const MAX_RATING = 5;
+
+/**
+ * Round a rating to the nearest half star
+ * @param {number} rating - Rating to clamp
+ * @returns {number|null} 0.5 to 5 in half steps, or null for no rating
+ */
+export const normalizeRating = (rating) => {
+  const halves = Math.round(Number(rating) * 2);
+  if (!halves || halves < 1) return null;
+  return Math.min(halves, MAX_RATING * 2) / 2;
+};
+
+// Replace one annotation, or drop it when nothing is left in it
+const withAnnotation = (library, bookId, annotation) => {
+  const annotations = { ...library.annotations };
+  if (annotation.rating || annotation.review || annotation.notes.length > 0) {
+    annotations[bookId] = annotation;
+  } else {
+    delete annotations[bookId];
+  }
+  return { ...library, annotations };
+};
+
+// Apply changes to a book's annotation, refreshing its snapshot
+const updateAnnotation = (library, bookId, book, changes) => {
+  const existing = library.annotations?.[bookId];
+
+  return withAnnotation(library, bookId, {
+    rating: null,
+    review: "",
+    reviewedAt: null,
+    notes: [],
+    ...existing,
+    ...changes,
+    book: { ...existing?.book, ...(book && toShelfBook(book)) },
+    updatedAt: Date.now(),
+  });
+};
+
+/**
+ * Rate a book
+ * @param {Object} library - Current library
+ * @param {string} bookId - Route book ID
+ * @param {Object} book - Book to store a snapshot of
+ * @param {number|null} rating - 0.5 to 5 in half stars; null clears it
+ * @returns {Object} Updated library
+ */
+export const rateBook = (library, bookId, book, rating) =>
+  updateAnnotation(library, bookId, book, {
+    rating: normalizeRating(rating),
+  });
+
+/**
+ * Save the review of a book
+ * @param {Object} library - Current library
+ * @param {string} bookId - Route book ID
+ * @param {Object} book - Book to store a snapshot of
+ * @param {string} review - Review text; empty removes it
+ * @returns {Object} Updated library
+ */
+export const setBookReview = (library, bookId, book, review) => {
+  const text = review.trim();
+  return updateAnnotation(library, bookId, book, {
+    review: text,
+    reviewedAt: text ? Date.now() : null,
+  });
+};
+
+/**
+ * Add a private note to a book
+ * @param {Object} library - Current library
+ * @param {string} bookId - Route book ID
+ * @param {Object} book - Book to store a snapshot of
+ * @param {string} text - Note text
+ * @returns {Object} Updated library
+ */
+export const addBookNote = (library, bookId, book, text) => {
+  const now = Date.now();
+  const notes = library.annotations?.[bookId]?.notes || [];
+
+  return updateAnnotation(library, bookId, book, {
+    notes: [
+      {
+        id: `note-${now}-${Math.random().toString(36).slice(2, 8)}`,
+        text: text.trim(),
+        createdAt: now,
+      },
+      ...notes,
+    ],
+  });
+};
+
+/**
+ * Delete one of a book's notes
+ * @param {Object} library - Current library
+ * @param {string} bookId - Route book ID
+ * @param {string} noteId - Note ID
+ * @returns {Object} Updated library
+ */
+export const deleteBookNote = (library, bookId, noteId) => {
+  const existing = library.annotations?.[bookId];
+  if (!existing) return library;
+
+  return updateAnnotation(library, bookId, null, {
+    notes: existing.notes.filter((note) => note.id !== noteId),
+  });
+};
+
+// Text of a book's title, authors, review and notes, labelled for snippets
+const searchableFields = (book, annotation) => [
+  { field: "title", text: book.title || "" },
+  { field: "author", text: (book.author_name || []).join(", ") },
+  { field: "review", text: annotation?.review || "" },
+  ...(annotation?.notes || []).map((note) => ({
+    field: "note",
+    text: note.text,
+  })),
+];
+
+/**
+ * Search the shelved and annotated books by title, author, review and notes
+ * @param {Object} library - Personal library
+ * @param {string} query - Words to look for; every word must match
+ * @returns {Array<Object>} { bookId, book, shelfIds, annotation, matches }
+ *   items, most recently changed first; `matches` lists the { field, text }
+ *   of the review and notes that matched
+ */
+export const searchLibrary = (library, query) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+
+  const annotations = library.annotations || {};
+  const bookIds = new Set([
+    ...Object.keys(library.books),
+    ...Object.keys(annotations),
+  ]);
+
+  return [...bookIds]
+    .map((bookId) => {
+      const entry = library.books[bookId];
+      const annotation = annotations[bookId] || null;
+      const book = { ...annotation?.book, ...entry?.book };
+      const fields = searchableFields(book, annotation);
+      const haystack = fields
+        .map(({ text }) => text)
+        .join("\n")
+        .toLowerCase();
+
+      if (!words.every((word) => haystack.includes(word))) return null;
+
+      return {
+        bookId,
+        book,
+        shelfIds: entry?.shelfIds || [],
+        annotation,
+        matches: fields.filter(
+          ({ field, text }) =>
+            (field === "review" || field === "note") &&
+            words.some((word) => text.toLowerCase().includes(word))
+        ),
+        updatedAt: Math.max(entry?.updatedAt || 0, annotation?.updatedAt || 0),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
@@ -0,0 +1,171 @@
+/**
+ * API Errors
+ * Typed errors for every way a request to a book API can fail, plus
+ * helpers to turn them into user-facing messages
+ */
+
+export const ERROR_TYPES = {
+  NETWORK: "network",
+  TIMEOUT: "timeout",
+  RATE_LIMITED: "rate-limited",
+  NOT_FOUND: "not-found",
+  HTTP_CLIENT: "http-4xx",
+  HTTP_SERVER: "http-5xx",
+};
+
+/**
+ * Base class for request failures
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Technical description of the failure
+   * @param {Object} details - Failure details
+   * @param {string} details.type - One of ERROR_TYPES
+   * @param {number} details.status - HTTP status, when there was a response
+   * @param {string} details.url - Requested URL
+   * @param {Error} details.cause - Underlying error, if any
+   */
+  constructor(message, { type, status, url, cause } = {}) {
+    super(message, { cause });
+    this.name = "ApiError";
+    this.type = type;
+    this.status = status;
+    this.url = url;
+  }
+
+  /**
+   * Whether retrying the same request later may succeed
+   * @returns {boolean} True for network, timeout, rate-limit and 5xx failures
+   */
+  get isTransient() {
+    return [
+      ERROR_TYPES.NETWORK,
+      ERROR_TYPES.TIMEOUT,
+      ERROR_TYPES.RATE_LIMITED,
+      ERROR_TYPES.HTTP_SERVER,
+    ].includes(this.type);
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(url, cause) {
+    super(`Network request failed: ${url}`, {
+      type: ERROR_TYPES.NETWORK,
+      url,
+      cause,
+    });
+    this.name = "NetworkError";
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(url, timeout) {
+    super(`Request timed out after ${timeout}ms: ${url}`, {
+      type: ERROR_TYPES.TIMEOUT,
+      url,
+    });
+    this.name = "TimeoutError";
+  }
+}
+
+export class HttpError extends ApiError {
+  constructor(url, status, type) {
+    super(`HTTP error! status: ${status}`, {
+      type:
+        type ||
+        (status >= 500 ? ERROR_TYPES.HTTP_SERVER : ERROR_TYPES.HTTP_CLIENT),
+      status,
+      url,
+    });
+    this.name = "HttpError";
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(url) {
+    super(url, 404, ERROR_TYPES.NOT_FOUND);
+    this.name = "NotFoundError";
+  }
+}
+
+export class RateLimitError extends HttpError {
+  /**
+   * @param {string} url - Requested URL
+   * @param {number} retryAfter - Milliseconds the server asked us to wait, if given
+   */
+  constructor(url, retryAfter) {
+    super(url, 429, ERROR_TYPES.RATE_LIMITED);
+    this.name = "RateLimitError";
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Build the matching typed error for a failed response
+ * @param {Response} response - Fetch response with a non-2xx status
+ * @param {string} url - Requested URL
+ * @returns {HttpError} Typed error
+ */
+export const errorFromResponse = (response, url) => {
+  if (response.status === 404) {
+    return new NotFoundError(url);
+  }
+
+  if (response.status === 429) {
+    const retryAfterSeconds = parseInt(response.headers.get("Retry-After"), 10);
+    return new RateLimitError(
+      url,
+      Number.isNaN(retryAfterSeconds) ? undefined : retryAfterSeconds * 1000
+    );
+  }
+
+  return new HttpError(url, response.status);
+};
+
+/**
+ * Get a title and message suitable for showing to users
+ * @param {Error} error - Any error thrown by a service call
+ * @param {string} resource - What was being loaded, e.g. "book" or "search results"
+ * @returns {{title: string, message: string}} User-facing description
+ */
+export const describeError = (error, resource = "data") => {
+  switch (error?.type) {
+    case ERROR_TYPES.NETWORK:
+      return {
+        title: "You appear to be offline",
+        message: `We couldn't reach the book service to load the ${resource}. Check your connection and try again.`,
+      };
+    case ERROR_TYPES.TIMEOUT:
+      return {
+        title: "The request timed out",
+        message: `The book service took too long to send the ${resource}. Please try again.`,
+      };
+    case ERROR_TYPES.RATE_LIMITED:
+      return {
+        title: "Too many requests",
+        message:
+          "The book service is limiting requests right now. Wait a moment and try again.",
+      };
+    case ERROR_TYPES.NOT_FOUND:
+      return {
+        title: "Not found",
+        message: `The requested ${resource} could not be found.`,
+      };
+    case ERROR_TYPES.HTTP_SERVER:
+      return {
+        title: "The book service is having problems",
+        message: `The server returned an error (${error.status}) while loading the ${resource}. Please try again later.`,
+      };
+    case ERROR_TYPES.HTTP_CLIENT:
+      return {
+        title: "The request was rejected",
+        message: `The server could not process the request for the ${resource} (${error.status}).`,
+      };
+    default:
+      return {
+        title: "Something went wrong",
+        message:
+          error?.message || `Failed to load the ${resource}. Please try again.`,
+      };
+  }
+};
@@ -0,0 +1,306 @@
+/**
+ * Book Export
+ * Turns a list of books - a page of search results or a shelf - into CSV,
+ * JSON, BibTeX, RIS or a Markdown reading list, entirely in the browser.
+ *
+ * Every format is built from the same export records:
+ * { title, authors, year, publisher, isbn, url, shelves, rating, review, notes }
+ * where notes are [{ text, createdAt }] with ISO dates.
+ */
+
+const OPEN_LIBRARY_URL = "https://openlibrary.org";
+
+/**
+ * Open Library page for a book: its work page, or the ISBN redirect for
+ * books found through other providers
+ * @param {Object} book - Search result, detail record or shelf snapshot
+ * @returns {string|null} URL, when one can be built
+ */
+export const getOpenLibraryUrl = (book) => {
+  if (book.key?.startsWith("/works/")) return `${OPEN_LIBRARY_URL}${book.key}`;
+  const isbn = book.isbn?.[0];
+  return isbn ? `${OPEN_LIBRARY_URL}/isbn/${isbn}` : null;
+};
+
+/**
+ * Build the export record for a book
+ * @param {Object} book - Search result, detail record or shelf snapshot
+ * @param {Object} personal - The reader's own data for the book
+ * @param {Object} personal.annotation - Rating, review and notes, if any
+ * @param {Array<string>} personal.shelves - Names of the shelves holding it
+ * @returns {Object} Export record
+ */
+export const toExportRecord = (book, { annotation, shelves = [] } = {}) => ({
+  title: book.title || "Untitled",
+  authors: book.author_name || [],
+  year: book.first_publish_year || null,
+  publisher: book.publisher?.[0] || null,
+  // ISBN-13 where there is one
+  isbn: book.isbn?.find((isbn) => isbn.length === 13) || book.isbn?.[0] || null,
+  url: getOpenLibraryUrl(book),
+  shelves,
+  rating: annotation?.rating || null,
+  review: annotation?.review || null,
+  notes: (annotation?.notes || []).map((note) => ({
+    text: note.text,
+    createdAt: new Date(note.createdAt).toISOString(),
+  })),
+});
+
+// "J. R. R. Tolkien" -> "Tolkien, J. R. R." as reference managers expect
+const toLastFirst = (name) => {
+  const parts = name.trim().split(/\s+/);
+  return parts.length > 1
+    ? `${parts.pop()}, ${parts.join(" ")}`
+    : parts[0] || "";
+};
+
+const formatNoteDate = (note) => note.createdAt.slice(0, 10);
+
+// Rating, review and notes as plain lines, for formats with one notes field
+const personalLines = (record) => [
+  ...(record.rating ? [`My rating: ${record.rating}/5`] : []),
+  ...(record.review ? [`My review: ${record.review}`] : []),
+  ...record.notes.map((note) => `Note (${formatNoteDate(note)}): ${note.text}`),
+];
+
+const toCsvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (records) => {
+  const columns = [
+    ["Title", (record) => record.title],
+    ["Authors", (record) => record.authors.join("; ")],
+    ["Year", (record) => record.year],
+    ["Publisher", (record) => record.publisher],
+    ["ISBN", (record) => record.isbn],
+    ["Open Library URL", (record) => record.url],
+    ["Shelves", (record) => record.shelves.join("; ")],
+    ["My Rating", (record) => record.rating],
+    ["My Review", (record) => record.review],
+    [
+      "My Notes",
+      (record) =>
+        record.notes
+          .map((note) => `${formatNoteDate(note)}: ${note.text}`)
+          .join("\n"),
+    ],
+  ];
+
+  return [
+    columns.map(([header]) => header),
+    ...records.map((record) => columns.map(([, getValue]) => getValue(record))),
+  ]
+    .map((row) => row.map(toCsvCell).join(","))
+    .join("\r\n");
+};
+
+const toJson = (records) => JSON.stringify(records, null, 2);
+
+// Escape LaTeX specials; braces are dropped rather than risk unbalancing
+const toBibtexValue = (text) =>
+  String(text)
+    .replace(/[{}\\]/g, "")
+    .replace(/([&%$#_])/g, "\\$1")
+    .replace(/\s+/g, " ");
+
+const toBibtex = (records) => {
+  const usedKeys = new Map();
+
+  return records
+    .map((record) => {
+      // Citation keys like "tolkien1937hobbit", with a/b/c... for repeats
+      const words = record.title
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[^a-z0-9\s]/g, "")
+        .split(/\s+/)
+        .filter((word) => word && !["the", "a", "an"].includes(word));
+      const baseKey =
+        [
+          toLastFirst(record.authors[0] || "")
+            .split(",")[0]
+            .toLowerCase()
+            .normalize("NFD")
+            .replace(/[^a-z0-9]/g, ""),
+          record.year,
+          words[0],
+        ]
+          .filter(Boolean)
+          .join("") || "book";
+      const count = usedKeys.get(baseKey) || 0;
+      usedKeys.set(baseKey, count + 1);
+      const key = count
+        ? `${baseKey}${String.fromCharCode(97 + count)}`
+        : baseKey;
+
+      const fields = [
+        ["title", `{${toBibtexValue(record.title)}}`],
+        [
+          "author",
+          record.authors.map(toLastFirst).map(toBibtexValue).join(" and "),
+        ],
+        ["year", record.year],
+        ["publisher", record.publisher && toBibtexValue(record.publisher)],
+        ["isbn", record.isbn],
+        ["url", record.url],
+        ["keywords", record.shelves.map(toBibtexValue).join(", ")],
+        ["annote", personalLines(record).map(toBibtexValue).join(" -- ")],
+      ].filter(([, value]) => value);
+
+      return `@book{${key},\n${fields
+        .map(([name, value]) => `  ${name} = {${value}}`)
+        .join(",\n")}\n}`;
+    })
+    .join("\n\n");
+};
+
+const toRis = (records) =>
+  records
+    .map((record) => {
+      const line = (tag, value) =>
+        `${tag}  - ${String(value).replace(/\s+/g, " ").trim()}`;
+
+      return [
+        line("TY", "BOOK"),
+        line("TI", record.title),
+        ...record.authors.map((author) => line("AU", toLastFirst(author))),
+        ...(record.year ? [line("PY", record.year)] : []),
+        ...(record.publisher ? [line("PB", record.publisher)] : []),
+        ...(record.isbn ? [line("SN", record.isbn)] : []),
+        ...(record.url ? [line("UR", record.url)] : []),
+        ...record.shelves.map((shelf) => line("KW", shelf)),
+        ...personalLines(record).map((text) => line("N1", text)),
+        "ER  - ",
+      ].join("\r\n");
+    })
+    .join("\r\n");
+
+const toMarkdown = (records, title) => {
+  // Keep titles from turning into links or emphasis
+  const escape = (text) => String(text).replace(/([\\`*_[\]<>])/g, "\\$1");
+
+  const items = records.map((record) => {
+    const heading = record.url
+      ? `[${escape(record.title)}](${record.url})`
+      : escape(record.title);
+    const details = [
+      record.authors.length > 0 && `by ${escape(record.authors.join(", "))}`,
+      record.year && `(${record.year})`,
+      record.rating && `★ ${record.rating}/5`,
+    ].filter(Boolean);
+
+    return [
+      `- **${heading}**${details.length > 0 ? ` ${details.join(" ")}` : ""}`,
+      ...(record.publisher || record.isbn
+        ? [
+            `  - ${[
+              record.publisher && escape(record.publisher),
+              record.isbn && `ISBN ${record.isbn}`,
+            ]
+              .filter(Boolean)
+              .join(" · ")}`,
+          ]
+        : []),
+      ...(record.shelves.length > 0
+        ? [`  - Shelves: ${escape(record.shelves.join(", "))}`]
+        : []),
+      ...(record.review
+        ? record.review.split("\n").map((text) => `  > ${escape(text)}`)
+        : []),
+      ...record.notes.map(
+        (note) =>
+          `  - Note (${formatNoteDate(note)}): ${escape(note.text).replace(/\n/g, " ")}`
+      ),
+    ].join("\n");
+  });
+
+  return `# ${escape(title)}\n\n${items.join("\n")}\n`;
+};
+
+export const EXPORT_FORMATS = [
+  {
+    id: "csv",
+    label: "CSV",
+    description: "Spreadsheets",
+    extension: "csv",
+    mimeType: "text/csv",
+    serialize: toCsv,
+  },
+  {
+    id: "json",
+    label: "JSON",
+    description: "Scripts and other apps",
+    extension: "json",
+    mimeType: "application/json",
+    serialize: toJson,
+  },
+  {
+    id: "bibtex",
+    label: "BibTeX",
+    description: "LaTeX, JabRef, Zotero",
+    extension: "bib",
+    mimeType: "application/x-bibtex",
+    serialize: toBibtex,
+  },
+  {
+    id: "ris",
+    label: "RIS",
+    description: "EndNote, Mendeley, Zotero",
+    extension: "ris",
+    mimeType: "application/x-research-info-systems",
+    serialize: toRis,
+  },
+  {
+    id: "markdown",
+    label: "Markdown",
+    description: "Reading list",
+    extension: "md",
+    mimeType: "text/markdown",
+    serialize: toMarkdown,
+  },
+];
+
+/**
+ * Serialise export records in one of the EXPORT_FORMATS
+ * @param {Array<Object>} records - Records from toExportRecord
+ * @param {string} formatId - Format ID
+ * @param {string} title - Name of the list, used by the Markdown heading
+ * @returns {string} File contents
+ */
+export const serializeExport = (records, formatId, title) =>
+  EXPORT_FORMATS.find((format) => format.id === formatId).serialize(
+    records,
+    title
+  );
+
+/**
+ * Save export records as a file download
+ * @param {Array<Object>} records - Records from toExportRecord
+ * @param {string} formatId - Format ID
+ * @param {string} title - Name of the list; also names the file
+ */
+export const downloadExport = (records, formatId, title) => {
+  const format = EXPORT_FORMATS.find((candidate) => candidate.id === formatId);
+  const blob = new Blob([serializeExport(records, formatId, title)], {
+    type: `${format.mimeType};charset=utf-8`,
+  });
+  const url = URL.createObjectURL(blob);
+  const fileName =
+    title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "books";
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${fileName}.${format.extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,915 @@
+/**
+ * Book Service
+ * Single entry point for components. Dispatches to the enabled search
+ * providers and merges their results.
+ *
+ * A provider is an object with:
+ * - id / name: identifier and display name
+ * - ownsBookId(bookId): whether a route book ID belongs to this provider
+ * - getBookId(book): route-safe book ID for a book it returned
+ * - searchBooks(searchParams, limit, offset, { signal, onRevalidate, refresh }):
+ *   { docs, numFound }; onRevalidate fires after a background cache refresh,
+ *   refresh skips the cache
+ * - getBookDetails(bookId, { onRevalidate }): detailed book
+ * - getCoverUrl(book, size): cover URL or null
+ * - getAuthor(authorId): author record or null when unsupported
+ * - sortOptions: sort values the provider applies server-side; others are
+ *   sorted client-side
+ */
+
+import openLibraryProvider, {
+  OPEN_LIBRARY_PROVIDER_ID,
+} from "./providers/openLibraryProvider";
+import googleBooksProvider from "./providers/googleBooksProvider";
+import {
+  getPopularBooks as getOpenLibraryPopularBooks,
+  getAuthorWorks as getOpenLibraryAuthorWorks,
+  getSubject as getOpenLibrarySubject,
+  getWorkEditions as getOpenLibraryWorkEditions,
+  getEditionByIsbn as getOpenLibraryEditionByIsbn,
+  suggestTitles,
+  suggestAuthors,
+} from "./openLibraryApi";
+import { normalizeIsbn } from "./isbn";
+import { parseQuery, COMBINABLE_PARAMS } from "./queryParser";
+import { ApiError, NotFoundError } from "./apiErrors";
+
+export {
+  formatAuthors,
+  getFallbackCoverUrl,
+  getAuthorDetails,
+  getAuthorPhotoUrl,
+  toSubjectSlug,
+  editionMetadata,
+  getEdition,
+} from "./openLibraryApi";
+export { clearCache } from "./cacheStore";
+export { ERROR_TYPES, describeError } from "./apiErrors";
+export { normalizeIsbn, isValidIsbn } from "./isbn";
+export { parseQuery, removeQueryTerm } from "./queryParser";
+export { computeFacets } from "./facets";
+export {
+  getSearchHistory,
+  addToSearchHistory,
+  clearSearchHistory,
+  getSavedSearches,
+  saveSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  isSameSearch,
+} from "./searchHistory";
+
+const PROVIDERS_STORAGE_KEY = "bookfinder-providers";
+const RESULTS_MODE_STORAGE_KEY = "bookfinder-results-mode";
+const RESULTS_VIEW_STORAGE_KEY = "bookfinder-results-view";
+const TABLE_COLUMNS_STORAGE_KEY = "bookfinder-table-columns";
+
+const providers = new Map();
+
+/**
+ * Register a search provider
+ * @param {Object} provider - Provider implementing the interface above
+ */
+export const registerProvider = (provider) => {
+  providers.set(provider.id, provider);
+};
+
+registerProvider(openLibraryProvider);
+registerProvider(googleBooksProvider);
+
+/**
+ * Get every registered provider
+ * @returns {Array<Object>} Registered providers
+ */
+export const getProviders = () => Array.from(providers.values());
+
+/**
+ * Get the IDs of the providers that are turned on (Open Library by default)
+ * @returns {Array<string>} Enabled provider IDs
+ */
+export const getEnabledProviderIds = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROVIDERS_STORAGE_KEY));
+    const known = Array.isArray(saved)
+      ? saved.filter((id) => providers.has(id))
+      : [];
+    if (known.length > 0) return known;
+  } catch {
+    // Ignore malformed saved settings
+  }
+  return [OPEN_LIBRARY_PROVIDER_ID];
+};
+
+/**
+ * Turn providers on or off
+ * @param {Array<string>} providerIds - Provider IDs to enable
+ */
+export const setEnabledProviderIds = (providerIds) => {
+  localStorage.setItem(PROVIDERS_STORAGE_KEY, JSON.stringify(providerIds));
+};
+
+// How result pages are shown: numbered pages, or one continuous grid that
+// loads the next page as the user scrolls
+export const RESULTS_MODES = ["pages", "continuous"];
+
+/**
+ * Get the saved results mode ("pages" by default)
+ * @returns {string} One of RESULTS_MODES
+ */
+export const getResultsMode = () => {
+  const saved = localStorage.getItem(RESULTS_MODE_STORAGE_KEY);
+  return RESULTS_MODES.includes(saved) ? saved : RESULTS_MODES[0];
+};
+
+/**
+ * Remember the results mode
+ * @param {string} mode - One of RESULTS_MODES
+ */
+export const setResultsMode = (mode) => {
+  localStorage.setItem(RESULTS_MODE_STORAGE_KEY, mode);
+};
+
+// How each result is drawn: cover cards, compact rows or a table
+export const RESULTS_VIEWS = ["grid", "list", "table"];
+
+/**
+ * Get the saved results view ("grid" by default)
+ * @returns {string} One of RESULTS_VIEWS
+ */
+export const getResultsView = () => {
+  const saved = localStorage.getItem(RESULTS_VIEW_STORAGE_KEY);
+  return RESULTS_VIEWS.includes(saved) ? saved : RESULTS_VIEWS[0];
+};
+
+/**
+ * Remember the results view
+ * @param {string} view - One of RESULTS_VIEWS
+ */
+export const setResultsView = (view) => {
+  localStorage.setItem(RESULTS_VIEW_STORAGE_KEY, view);
+};
+
+/**
+ * Get the saved table layout
+ * @returns {Object} { hidden, widths }: hidden column IDs and column widths in px
+ */
+export const getTableColumnSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TABLE_COLUMNS_STORAGE_KEY));
+    return {
+      hidden: Array.isArray(saved?.hidden) ? saved.hidden : [],
+      widths:
+        saved?.widths && typeof saved.widths === "object" ? saved.widths : {},
+    };
+  } catch {
+    // Ignore malformed saved settings
+    return { hidden: [], widths: {} };
+  }
+};
+
+/**
+ * Remember the table layout
+ * @param {Object} settings - { hidden, widths } as returned by getTableColumnSettings
+ */
+export const setTableColumnSettings = (settings) => {
+  localStorage.setItem(TABLE_COLUMNS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+const getEnabledProviders = () =>
+  getEnabledProviderIds().map((id) => providers.get(id));
+
+const getProviderForBook = (book) =>
+  providers.get(book.provider) || openLibraryProvider;
+
+const getProviderForBookId = (bookId) =>
+  getProviders().find((provider) => provider.ownsBookId(bookId)) ||
+  openLibraryProvider;
+
+/**
+ * Merge results from several providers, collapsing books that share a key or
+ * an ISBN. The first provider's fields win; missing fields are filled in.
+ * @param {Array<Array<Object>>} docLists - One docs array per provider
+ * @returns {Array<Object>} Merged docs
+ */
+export const mergeBookLists = (docLists) => {
+  const merged = [];
+  const indexByIdentifier = new Map();
+
+  docLists.flat().forEach((book) => {
+    const identifiers = [book.key, ...(book.isbn || [])].filter(Boolean);
+    const existingIndex = identifiers
+      .map((id) => indexByIdentifier.get(id))
+      .find((index) => index !== undefined);
+
+    if (existingIndex === undefined) {
+      merged.push({ ...book, sources: [book.provider] });
+      identifiers.forEach((id) => indexByIdentifier.set(id, merged.length - 1));
+      return;
+    }
+
+    const existing = merged[existingIndex];
+    const combined = { ...book, ...existing };
+    Object.keys(book).forEach((field) => {
+      const value = existing[field];
+      if (value === undefined || value === null || value.length === 0) {
+        combined[field] = book[field];
+      }
+    });
+    combined.isbn = [
+      ...new Set([...(existing.isbn || []), ...(book.isbn || [])]),
+    ];
+    combined.sources = [...new Set([...existing.sources, book.provider])];
+    merged[existingIndex] = combined;
+    identifiers.forEach((id) => indexByIdentifier.set(id, existingIndex));
+  });
+
+  return merged;
+};
+
+// Every criterion a search can carry, in cache-key order
+const TEXT_SEARCH_FIELDS = [
+  "title",
+  "author",
+  "subject",
+  "q",
+  "publisher",
+  "language",
+  "isbn",
+];
+const YEAR_SEARCH_FIELDS = ["yearFrom", "yearTo"];
+const FLAG_SEARCH_FIELDS = ["hasFulltext", "hasCover"];
+
+// Result orders offered to users. Values match Open Library's `sort` parameter.
+export const SORT_OPTIONS = [
+  { value: "relevance", label: "Relevance" },
+  { value: "new", label: "Newest first" },
+  { value: "old", label: "Oldest first" },
+  { value: "editions", label: "Most editions" },
+  { value: "rating", label: "Highest rated" },
+  { value: "title", label: "Title A–Z" },
+];
+
+const DEFAULT_SORT = "relevance";
+
+const compareMissingLast = (a, b, direction) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  return (a - b) * direction;
+};
+
+/**
+ * Sort books client-side, for results the server couldn't sort
+ * @param {Array<Object>} books - Books to sort
+ * @param {string} sort - One of the SORT_OPTIONS values
+ * @returns {Array<Object>} Sorted copy; relevance keeps the original order
+ */
+export const sortBooks = (books, sort = DEFAULT_SORT) => {
+  const sorted = [...books];
+
+  switch (sort) {
+    case "new":
+      return sorted.sort((a, b) =>
+        compareMissingLast(a.first_publish_year, b.first_publish_year, -1)
+      );
+    case "old":
+      return sorted.sort((a, b) =>
+        compareMissingLast(a.first_publish_year, b.first_publish_year, 1)
+      );
+    case "editions":
+      return sorted.sort((a, b) =>
+        compareMissingLast(a.edition_count, b.edition_count, -1)
+      );
+    case "rating":
+      return sorted.sort((a, b) =>
+        compareMissingLast(a.ratings_average, b.ratings_average, -1)
+      );
+    case "title":
+      return sorted.sort((a, b) => a.title.localeCompare(b.title));
+    default:
+      return sorted;
+  }
+};
+
+/**
+ * Drop empty criteria, trim text and parse years so equivalent searches
+ * share one cache entry
+ * @param {Object} searchParams - Raw search parameters from the form
+ * @returns {Object} Only the criteria that are set
+ */
+export const normalizeSearchParams = (searchParams = {}) => {
+  const normalized = {};
+
+  TEXT_SEARCH_FIELDS.forEach((field) => {
+    const value = searchParams[field]?.trim?.();
+    if (value) normalized[field] = value;
+  });
+
+  YEAR_SEARCH_FIELDS.forEach((field) => {
+    const year = parseInt(searchParams[field], 10);
+    if (!Number.isNaN(year)) normalized[field] = year;
+  });
+
+  FLAG_SEARCH_FIELDS.forEach((field) => {
+    if (searchParams[field]) normalized[field] = true;
+  });
+
+  if (
+    searchParams.sort !== DEFAULT_SORT &&
+    SORT_OPTIONS.some((option) => option.value === searchParams.sort)
+  ) {
+    normalized.sort = searchParams.sort;
+  }
+
+  return normalized;
+};
+
+// Free-text criteria, where form and query words can simply be joined
+const JOINABLE_SEARCH_FIELDS = [...COMBINABLE_PARAMS, "q"];
+
+/**
+ * Merge the search form's fields with the parameters parsed from the query
+ * box. Free-text criteria set in both places are combined; for single-value
+ * fields such as language, ISBN or sort the query wins.
+ * @param {Object} formParams - Raw search parameters from the form
+ * @param {Object} queryParams - Parameters from parseQuery
+ * @returns {Object} Combined search parameters
+ */
+export const mergeSearchParams = (formParams, queryParams) => {
+  const combined = { ...formParams };
+
+  Object.entries(queryParams).forEach(([field, value]) => {
+    combined[field] =
+      JOINABLE_SEARCH_FIELDS.includes(field) && formParams[field]
+        ? `${formParams[field]} ${value}`
+        : value;
+  });
+
+  return combined;
+};
+
+/**
+ * Whether a search has anything to search for. Filters such as "has cover"
+ * only narrow a search, so they don't count on their own.
+ * @param {Object} searchParams - Raw or normalised search parameters
+ * @returns {boolean} True when at least one text or year criterion is set
+ */
+export const hasSearchCriteria = (searchParams) => {
+  const normalized = normalizeSearchParams(searchParams);
+  return [...TEXT_SEARCH_FIELDS, ...YEAR_SEARCH_FIELDS].some(
+    (field) => field in normalized
+  );
+};
+
+/**
+ * Turn a search as the user entered it into searchBooks parameters
+ * @param {Object} search - { formParams, query, sort }
+ * @returns {Object|null} Search parameters, or null when the query doesn't
+ *   parse or there is nothing to search for
+ */
+export const resolveSearch = ({ formParams = {}, query = "", sort }) => {
+  const { params, errors } = parseQuery(query);
+  const combined = mergeSearchParams(formParams, params);
+
+  if (errors.length > 0 || !hasSearchCriteria(combined)) return null;
+  return sort ? { ...combined, sort } : combined;
+};
+
+/**
+ * Encode a search in the home page's query string, so it survives Back and
+ * can be shared as a link
+ * @param {Object} search - { formParams, query, sort, page }
+ * @returns {URLSearchParams} Form fields under their own names plus `query`,
+ *   `sort` and `page`; defaults are left out
+ */
+export const searchToUrlParams = ({
+  formParams = {},
+  query = "",
+  sort = DEFAULT_SORT,
+  page = 1,
+}) => {
+  const urlParams = new URLSearchParams();
+
+  Object.entries(normalizeSearchParams({ ...formParams, sort })).forEach(
+    ([field, value]) => {
+      urlParams.set(field, value === true ? "1" : String(value));
+    }
+  );
+  if (query.trim()) urlParams.set("query", query.trim());
+  if (page > 1) urlParams.set("page", String(page));
+
+  return urlParams;
+};
+
+/**
+ * Decode a search written by searchToUrlParams. Unknown or invalid values
+ * fall back to their defaults.
+ * @param {URLSearchParams} urlParams - Query string of the home page
+ * @returns {Object} { formParams, query, sort, page }
+ */
+export const searchFromUrlParams = (urlParams) => {
+  const raw = Object.fromEntries(urlParams);
+  const { sort = DEFAULT_SORT, ...formParams } = normalizeSearchParams(raw);
+  const page = parseInt(raw.page, 10);
+
+  return {
+    formParams,
+    query: raw.query?.trim() || "",
+    sort,
+    page: page > 1 ? page : 1,
+  };
+};
+
+/**
+ * Search every enabled provider and merge the results
+ * @param {Object} searchParams - Search parameters (title, author, subject and
+ *   the advanced criteria documented on the Open Library searchBooks)
+ * @param {number} limit - Page size requested from each provider
+ * @param {number} offset - Number of results to skip
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the search; rejects with an AbortError once aborted
+ * @param {Function} options.onRevalidate - Called with the merged results again
+ *   whenever a provider refreshes stale cached results in the background
+ * @param {boolean} options.refresh - Fetch from the providers even when the
+ *   page is cached
+ * @returns {Promise<Object>} Merged docs; `numFound` is the largest provider total and
+ *   `isFallback` marks built-in offline results served because every provider failed
+ */
+export const searchBooks = async (
+  searchParams,
+  limit = 20,
+  offset = 0,
+  { signal, onRevalidate, refresh } = {}
+) => {
+  const enabled = getEnabledProviders();
+  const criteria = normalizeSearchParams(searchParams);
+
+  // Merge again once the refreshed page is in the cache
+  const remerge =
+    onRevalidate &&
+    (() =>
+      searchBooks(searchParams, limit, offset)
+        .then(onRevalidate)
+        .catch((error) => console.warn("Could not refresh results:", error)));
+
+  const settled = await Promise.allSettled(
+    enabled.map(async (provider) => ({
+      provider,
+      ...(await provider.searchBooks(criteria, limit, offset, {
+        signal,
+        onRevalidate: remerge,
+        refresh,
+      })),
+    }))
+  );
+
+  // Cached results resolve even after an abort, so check explicitly
+  signal?.throwIfAborted();
+
+  const fulfilled = settled.filter((result) => result.status === "fulfilled");
+  if (fulfilled.length === 0) {
+    throw settled[0].reason;
+  }
+
+  settled
+    .filter((result) => result.status === "rejected")
+    .forEach((result) =>
+      console.warn("Provider search failed:", result.reason)
+    );
+
+  // Offline placeholders are only shown when no provider returned live data
+  const live = fulfilled.filter((result) => !result.value.isFallback);
+  const usable = live.length > 0 ? live : fulfilled;
+  const docs = mergeBookLists(usable.map((result) => result.value.docs));
+
+  // Merged lists, offline placeholders and providers that can't apply the
+  // order themselves are sorted here instead
+  const { sort } = criteria;
+  const needsClientSort =
+    sort &&
+    (live.length === 0 ||
+      usable.length > 1 ||
+      !usable[0].value.provider.sortOptions?.includes(sort));
+
+  return {
+    docs: needsClientSort ? sortBooks(docs, sort) : docs,
+    // Providers page in lockstep, so the longest result list drives page count
+    numFound: Math.max(...usable.map((result) => result.value.numFound || 0)),
+    limit,
+    offset,
+    isFallback: live.length === 0,
+    fallbackReason:
+      live.length === 0 ? fulfilled[0].value.fallbackReason : undefined,
+  };
+};
+
+/**
+ * Fetch a single page of search results
+ * @param {Object} searchParams - Same parameters accepted by searchBooks
+ * @param {number} page - 1-based page number
+ * @param {number} pageSize - Number of results per page
+ * @param {Object} options - Request options, see searchBooks
+ * @returns {Promise<Object>} Search results for that page
+ */
+export const searchBooksPage = async (
+  searchParams,
+  page = 1,
+  pageSize = 20,
+  options = {}
+) => {
+  const safePage = Math.max(1, page);
+  return searchBooks(
+    searchParams,
+    pageSize,
+    (safePage - 1) * pageSize,
+    options
+  );
+};
+
+/**
+ * Count the results a search currently has, without loading a full page
+ * @param {Object} search - { formParams, query, sort }
+ * @returns {Promise<number|null>} Total results, or null for an invalid search
+ *   or when only offline results are available
+ */
+export const countSearchResults = async (search) => {
+  const searchParams = resolveSearch(search);
+  if (!searchParams) return null;
+
+  // Straight from the network - a cached count would hide new results
+  const results = await searchBooks(searchParams, 1, 0, { refresh: true });
+  return results.isFallback ? null : results.numFound;
+};
+
+/**
+ * Warm the cache for the pages next to the one being viewed
+ * @param {Object} searchParams - Same parameters accepted by searchBooks
+ * @param {number} page - 1-based page currently shown
+ * @param {number} pageSize - Number of results per page
+ * @param {number} totalPages - Total number of pages available
+ */
+export const prefetchNeighbourPages = (
+  searchParams,
+  page,
+  pageSize,
+  totalPages
+) => {
+  [page - 1, page + 1]
+    .filter((neighbour) => neighbour >= 1 && neighbour <= totalPages)
+    .forEach((neighbour) => {
+      // Fire and forget - results land in the provider caches
+      searchBooksPage(searchParams, neighbour, pageSize).catch(() => {});
+    });
+};
+
+// Bibliographic (MARC) codes Open Library uses that Intl.DisplayNames doesn't know
+const MARC_LANGUAGE_ALIASES = {
+  alb: "sqi",
+  arm: "hye",
+  baq: "eus",
+  bur: "mya",
+  chi: "zho",
+  cze: "ces",
+  dut: "nld",
+  fre: "fra",
+  geo: "kat",
+  ger: "deu",
+  gre: "ell",
+  ice: "isl",
+  mac: "mkd",
+  mao: "mri",
+  may: "msa",
+  per: "fas",
+  rum: "ron",
+  slo: "slk",
+  tib: "bod",
+  wel: "cym",
+};
+
+const languageNames =
+  typeof Intl !== "undefined" && Intl.DisplayNames
+    ? new Intl.DisplayNames(["en"], { type: "language" })
+    : null;
+
+/**
+ * Get a readable language name for a language code
+ * @param {string} code - Language code (e.g., "eng", "fre", "en")
+ * @returns {string} Language name (e.g., "English"), or the code if unknown
+ */
+export const formatLanguage = (code) => {
+  if (!code) return "";
+
+  try {
+    return languageNames?.of(MARC_LANGUAGE_ALIASES[code] || code) || code;
+  } catch {
+    return code;
+  }
+};
+
+/**
+ * Whether an error comes from an aborted request
+ * @param {Error} error - Error thrown by a service call
+ * @returns {boolean} True for AbortError
+ */
+export const isAbortError = (error) => error?.name === "AbortError";
+
+/**
+ * Get popular books for the initial view (always from Open Library)
+ * @param {number} targetCount - Number of books to return
+ * @param {number} offset - Offset for pagination
+ * @returns {Promise<Object>} Popular books with covers
+ */
+export const getPopularBooks = async (targetCount = 12, offset = 0) => {
+  const results = await getOpenLibraryPopularBooks(targetCount, offset);
+  return {
+    ...results,
+    docs: results.docs.map((book) => ({
+      ...book,
+      provider: OPEN_LIBRARY_PROVIDER_ID,
+    })),
+  };
+};
+
+/**
+ * Get detailed book information from whichever provider owns the ID
+ * @param {string} bookId - Route book ID (see getBookId)
+ * @param {Object} options - Request options
+ * @param {Function} options.onRevalidate - Called with the details again once
+ *   stale cached data has been refreshed in the background
+ * @returns {Promise<Object>} Detailed book information
+ */
+export const getBookDetails = async (bookId, { onRevalidate } = {}) =>
+  getProviderForBookId(bookId).getBookDetails(bookId, {
+    onRevalidate:
+      onRevalidate &&
+      (() =>
+        getBookDetails(bookId)
+          .then(onRevalidate)
+          .catch((error) => console.warn("Could not refresh book:", error))),
+  });
+
+/**
+ * Get the route-safe ID for a book, as used by /book/:bookId
+ * @param {Object} book - Book returned by any provider
+ * @returns {string} Book ID
+ */
+export const getBookId = (book) => getProviderForBook(book).getBookId(book);
+
+/**
+ * Get a cover URL for a book from whichever provider returned it
+ * @param {Object} book - Book returned by any provider
+ * @param {string} size - Size: 'S' (small), 'M' (medium), 'L' (large)
+ * @returns {string|null} Cover image URL or null if no cover available
+ */
+export const getBookCoverUrl = (book, size = "S") =>
+  getProviderForBook(book).getCoverUrl(book, size) || book.cover_url || null;
+
+/**
+ * Get an author record
+ * @param {string} authorId - Provider-specific author ID
+ * @param {string} providerId - Provider that owns the author (default: Open Library)
+ * @returns {Promise<Object|null>} Author record or null when unsupported
+ */
+export const getAuthor = async (
+  authorId,
+  providerId = OPEN_LIBRARY_PROVIDER_ID
+) => (providers.get(providerId) || openLibraryProvider).getAuthor(authorId);
+
+/**
+ * Load consecutive pages of a list until it is exhausted or hits a cap
+ * @param {Function} fetchPage - (limit, offset) => Promise<{ docs, numFound }>
+ * @param {number} chunkSize - Items per request
+ * @param {number} maxItems - Stop once this many items are loaded
+ * @returns {Promise<Object>} { docs, numFound, isTruncated }
+ */
+const collectPages = async (fetchPage, chunkSize, maxItems) => {
+  let docs = [];
+  let numFound = 0;
+
+  do {
+    const page = await fetchPage(chunkSize, docs.length);
+    numFound = page.numFound;
+    docs = [...docs, ...page.docs];
+    if (page.docs.length === 0) break;
+  } while (docs.length < Math.min(numFound, maxItems));
+
+  return { docs, numFound, isTruncated: numFound > docs.length };
+};
+
+// Long lists are capped so prolific authors and classics don't mean dozens of requests
+const MAX_LIST_ITEMS = 500;
+const LIST_CHUNK_SIZE = 100;
+
+/**
+ * Get an author's bibliography (Open Library), loading it in chunks
+ * @param {string} authorId - Author ID (e.g., "OL23919A")
+ * @param {Object} author - Author profile, used to fill in author_name on each work
+ * @returns {Promise<Object>} { docs, numFound, isTruncated }
+ */
+export const getAuthorBibliography = async (authorId, author = null) => {
+  const result = await collectPages(
+    (limit, offset) => getOpenLibraryAuthorWorks(authorId, limit, offset),
+    LIST_CHUNK_SIZE,
+    MAX_LIST_ITEMS
+  );
+
+  return {
+    ...result,
+    docs: result.docs.map((work) => ({
+      ...work,
+      provider: OPEN_LIBRARY_PROVIDER_ID,
+      author_name: author ? [author.name] : [],
+    })),
+  };
+};
+
+/**
+ * Get every edition of a work (Open Library), loading them in chunks
+ * @param {string} workId - Work ID (e.g., "OL45804W")
+ * @returns {Promise<Object>} { docs, numFound, isTruncated } with processed editions
+ */
+export const getWorkEditions = async (workId) =>
+  collectPages(
+    (limit, offset) => getOpenLibraryWorkEditions(workId, limit, offset),
+    LIST_CHUNK_SIZE,
+    MAX_LIST_ITEMS
+  );
+
+/**
+ * Get a subject page (Open Library)
+ * @param {string} slug - Subject slug (see toSubjectSlug)
+ * @param {number} page - 1-based page of works
+ * @param {number} pageSize - Works per page
+ * @param {boolean} details - Also load related subjects, top authors and publishing history
+ * @returns {Promise<Object>} Subject with docs tagged for the Open Library provider
+ */
+export const getSubject = async (
+  slug,
+  page = 1,
+  pageSize = 20,
+  details = false
+) => {
+  const subject = await getOpenLibrarySubject(
+    slug,
+    pageSize,
+    (Math.max(1, page) - 1) * pageSize,
+    details
+  );
+
+  return {
+    ...subject,
+    docs: subject.docs.map((book) => ({
+      ...book,
+      provider: OPEN_LIBRARY_PROVIDER_ID,
+    })),
+  };
+};
+
+/**
+ * Search Open Library works directly, skipping the other providers, to match
+ * books known from elsewhere (e.g. an imported reading history)
+ * @param {Object} searchParams - Criteria accepted by searchBooks
+ * @param {number} limit - Maximum number of works
+ * @param {Object} options - Request options, see searchBooks
+ * @returns {Promise<Array<Object>>} Matching works, best match first
+ * @throws {ApiError} When Open Library can't be reached - offline placeholder
+ *   books are never returned as matches
+ */
+export const searchOpenLibraryWorks = async (
+  searchParams,
+  limit = 5,
+  { signal } = {}
+) => {
+  const results = await openLibraryProvider.searchBooks(
+    normalizeSearchParams(searchParams),
+    limit,
+    0,
+    { signal }
+  );
+  signal?.throwIfAborted();
+
+  if (results.isFallback) {
+    throw new ApiError("Open Library is unavailable", {
+      type: results.fallbackReason,
+    });
+  }
+  return results.docs;
+};
+
+/**
+ * Resolve an ISBN to the Open Library work and edition it belongs to
+ * @param {string} isbn - ISBN-10 or ISBN-13, hyphens allowed
+ * @returns {Promise<Object>} { bookId, editionId } route IDs for the detail page
+ * @throws {NotFoundError} When the ISBN is unknown or not attached to a work
+ */
+export const lookupIsbn = async (isbn) => {
+  const edition = await getOpenLibraryEditionByIsbn(normalizeIsbn(isbn));
+
+  if (!edition.works[0]) {
+    throw new NotFoundError(`/isbn/${normalizeIsbn(isbn)}`);
+  }
+
+  return { bookId: edition.works[0], editionId: edition.id };
+};
+
+// Subjects offered by the subject typeahead
+const SUBJECT_SUGGESTIONS = [
+  "Adventure",
+  "Art",
+  "Biography",
+  "Business",
+  "Children's fiction",
+  "Classics",
+  "Comics",
+  "Cooking",
+  "Crime",
+  "Detective and mystery stories",
+  "Drama",
+  "Economics",
+  "Education",
+  "Fairy tales",
+  "Fantasy",
+  "Fiction",
+  "Graphic novels",
+  "Health",
+  "Historical fiction",
+  "History",
+  "Horror",
+  "Humor",
+  "Juvenile fiction",
+  "Love stories",
+  "Mathematics",
+  "Medicine",
+  "Music",
+  "Mystery",
+  "Mythology",
+  "Nature",
+  "Philosophy",
+  "Poetry",
+  "Politics",
+  "Programming",
+  "Psychology",
+  "Religion",
+  "Romance",
+  "Science",
+  "Science fiction",
+  "Self-help",
+  "Short stories",
+  "Social science",
+  "Sports",
+  "Thriller",
+  "Travel",
+  "War",
+  "Young adult fiction",
+];
+
+const MAX_SUBJECT_SUGGESTIONS = 8;
+
+/**
+ * Typeahead suggestions for a search form field
+ * @param {string} field - "title", "author" or "subject"
+ * @param {string} text - Text typed so far
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Array<Object>>} { value, label, detail } where `value` fills the field
+ */
+export const getSuggestions = async (field, text, { signal } = {}) => {
+  const term = text.trim().toLowerCase();
+  if (!term) return [];
+
+  switch (field) {
+    case "title": {
+      const titles = await suggestTitles(term, { signal });
+      return titles.map((book) => ({
+        value: book.title,
+        label: book.title,
+        detail: [book.author_name[0], book.first_publish_year]
+          .filter(Boolean)
+          .join(", "),
+      }));
+    }
+    case "author": {
+      const authors = await suggestAuthors(term, { signal });
+      return authors.map((author) => ({
+        value: author.name,
+        label: author.name,
+        detail: author.top_work
+          ? `${author.top_work} · ${author.work_count} works`
+          : `${author.work_count} works`,
+      }));
+    }
+    case "subject":
+      // Prefix matches first, then matches anywhere in the name
+      return SUBJECT_SUGGESTIONS.filter((subject) =>
+        subject.toLowerCase().includes(term)
+      )
+        .sort(
+          (a, b) =>
+            b.toLowerCase().startsWith(term) - a.toLowerCase().startsWith(term)
+        )
+        .slice(0, MAX_SUBJECT_SUGGESTIONS)
+        .map((subject) => ({ value: subject, label: subject, detail: "" }));
+    default:
+      return [];
+  }
+};
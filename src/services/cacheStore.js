@@ -0,0 +1,272 @@
+/**
+ * Cache Store
+ * Persistent IndexedDB cache with stale-while-revalidate reads, per-resource
+ * TTLs, a hard maximum age and a size-bounded LRU eviction. Falls back to memory when IndexedDB
+ * is unavailable (private browsing, old browsers).
+ */
+
+const DB_NAME = "bookfinder-cache";
+const DB_VERSION = 1;
+const STORE_NAME = "entries";
+
+// How long each kind of resource is considered fresh
+export const CACHE_TTLS = {
+  search: 10 * 60 * 1000, // 10 minutes
+  work: 24 * 60 * 60 * 1000, // 1 day
+  editions: 24 * 60 * 60 * 1000, // 1 day
+  author: 7 * 24 * 60 * 60 * 1000, // 1 week
+  subject: 24 * 60 * 60 * 1000, // 1 day
+  suggest: 60 * 60 * 1000, // 1 hour
+};
+
+const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes
+// Entries older than this many TTLs are too stale to show while revalidating
+const MAX_STALE_TTLS = 6;
+const MAX_CACHE_BYTES = 5 * 1024 * 1024; // ~5 MB of serialised JSON
+
+// Memory layer in front of IndexedDB, also used when IndexedDB is missing
+const memoryCache = new Map();
+
+// Requests already on the network, so concurrent reads share one fetch:
+// { promise, controller, callers }
+const inFlight = new Map();
+
+let dbPromise = null;
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === "undefined") {
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, {
+        keyPath: "id",
+      });
+      store.createIndex("lastAccessed", "lastAccessed");
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn("IndexedDB unavailable, using memory cache:", request.error);
+      resolve(null);
+    };
+  });
+
+  return dbPromise;
+};
+
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  const transaction = db.transaction(STORE_NAME, mode);
+  return callback(transaction.objectStore(STORE_NAME));
+};
+
+const readEntry = async (id) => {
+  if (memoryCache.has(id)) return memoryCache.get(id);
+
+  try {
+    const entry = await withStore("readonly", (store) =>
+      requestToPromise(store.get(id))
+    );
+    if (entry) memoryCache.set(id, entry);
+    return entry || null;
+  } catch (error) {
+    console.warn("Cache read failed:", error);
+    return null;
+  }
+};
+
+const writeEntry = async (entry) => {
+  memoryCache.set(entry.id, entry);
+
+  try {
+    await withStore("readwrite", (store) => requestToPromise(store.put(entry)));
+  } catch (error) {
+    console.warn("Cache write failed:", error);
+  }
+};
+
+/**
+ * Evict least recently used entries until the cache fits in MAX_CACHE_BYTES
+ */
+const evictLeastRecentlyUsed = async () => {
+  const db = await openDatabase();
+
+  if (!db) {
+    let total = 0;
+    memoryCache.forEach((entry) => (total += entry.size));
+    const byAge = [...memoryCache.values()].sort(
+      (a, b) => a.lastAccessed - b.lastAccessed
+    );
+    while (total > MAX_CACHE_BYTES && byAge.length > 0) {
+      const oldest = byAge.shift();
+      total -= oldest.size;
+      memoryCache.delete(oldest.id);
+    }
+    return;
+  }
+
+  try {
+    const entries = await withStore("readonly", (store) =>
+      requestToPromise(store.index("lastAccessed").getAll())
+    );
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const staleIds = [];
+
+    // Entries come back oldest first
+    for (const entry of entries) {
+      if (total <= MAX_CACHE_BYTES) break;
+      total -= entry.size;
+      staleIds.push(entry.id);
+    }
+
+    if (staleIds.length === 0) return;
+
+    await withStore("readwrite", (store) =>
+      Promise.all(staleIds.map((id) => requestToPromise(store.delete(id))))
+    );
+    staleIds.forEach((id) => memoryCache.delete(id));
+  } catch (error) {
+    console.warn("Cache eviction failed:", error);
+  }
+};
+
+// Wait for a shared fetch. Each caller can give up on it with its own signal;
+// the fetch itself is only cancelled once every caller has. Callers without
+// a signal (background refreshes) keep it running to the end.
+const joinRequest = (id, request, signal) => {
+  if (!signal) {
+    request.callers = Infinity;
+    return request.promise;
+  }
+
+  request.callers++;
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      reject(signal.reason);
+      request.callers--;
+      if (request.callers === 0) {
+        // Later readers start a fresh fetch instead of joining this one
+        if (inFlight.get(id) === request) inFlight.delete(id);
+        request.controller.abort(signal.reason);
+      }
+    };
+
+    signal.addEventListener("abort", handleAbort, { once: true });
+    request.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", handleAbort));
+  });
+};
+
+const fetchAndStore = (id, resource, fetcher, signal) => {
+  signal?.throwIfAborted();
+  if (inFlight.has(id)) return joinRequest(id, inFlight.get(id), signal);
+
+  const controller = new AbortController();
+  const request = { controller, callers: 0 };
+  request.promise = (async () => {
+    try {
+      const data = await fetcher({ signal: controller.signal });
+      const now = Date.now();
+      await writeEntry({
+        id,
+        resource,
+        data,
+        storedAt: now,
+        lastAccessed: now,
+        size: JSON.stringify(data).length,
+      });
+      evictLeastRecentlyUsed();
+      return data;
+    } finally {
+      if (inFlight.get(id) === request) inFlight.delete(id);
+    }
+  })();
+  // Callers that gave up have already been rejected
+  request.promise.catch(() => {});
+
+  inFlight.set(id, request);
+  return joinRequest(id, request, signal);
+};
+
+/**
+ * Read through the cache with stale-while-revalidate semantics.
+ * Fresh entries are returned as is. Stale entries are returned immediately
+ * while a background fetch refreshes them. Missing entries, and entries
+ * older than MAX_STALE_TTLS times the TTL, are fetched; a very old entry is
+ * still returned when that fetch fails.
+ * Fetcher errors are never cached and propagate to the caller on a miss.
+ * @param {string} resource - Resource type, one of the CACHE_TTLS keys
+ * @param {string} key - Cache key unique within the resource
+ * @param {Function} fetcher - Async function that loads the data from the
+ *   network, called with { signal }
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the caller's wait on a miss;
+ *   a fetch shared with other callers carries on until all of them cancel.
+ *   Background refreshes run without it, so they finish after the caller
+ *   goes away.
+ * @param {Function} options.onRevalidate - Called with fresh data after a background refresh
+ * @param {boolean} options.refresh - Skip cached data and fetch (and store)
+ *   fresh data now
+ * @returns {Promise<*>} Cached or freshly fetched data
+ */
+export const cachedFetch = async (resource, key, fetcher, options = {}) => {
+  const id = `${resource}:${key}`;
+  const ttl = CACHE_TTLS[resource] || DEFAULT_TTL;
+  const entry = options.refresh ? null : await readEntry(id);
+
+  if (!entry) {
+    return fetchAndStore(id, resource, fetcher, options.signal);
+  }
+
+  // Record the access for LRU eviction
+  writeEntry({ ...entry, lastAccessed: Date.now() });
+
+  const age = Date.now() - entry.storedAt;
+  if (age > ttl * MAX_STALE_TTLS) {
+    try {
+      return await fetchAndStore(id, resource, fetcher, options.signal);
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      console.warn("Refresh failed, using stale cache entry:", error);
+      return entry.data;
+    }
+  }
+
+  if (age > ttl) {
+    fetchAndStore(id, resource, fetcher)
+      .then((data) => options.onRevalidate?.(data))
+      .catch((error) => console.warn("Background revalidation failed:", error));
+  }
+
+  return entry.data;
+};
+
+/**
+ * Remove every cached entry, both in memory and in IndexedDB
+ * @returns {Promise<void>}
+ */
+export const clearCache = async () => {
+  memoryCache.clear();
+
+  try {
+    await withStore("readwrite", (store) => requestToPromise(store.clear()));
+  } catch (error) {
+    console.warn("Cache clear failed:", error);
+  }
+};
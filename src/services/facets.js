@@ -0,0 +1,83 @@
+/**
+ * Facets
+ * Counts for the result sidebar, computed from the docs already on screen,
+ * and the query-language terms that select each facet value
+ */
+
+const MAX_FACET_VALUES = 8;
+
+const quoteTermValue = (value) => {
+  const clean = String(value).replace(/"/g, "").trim();
+  return /\s/.test(clean) ? `"${clean}"` : clean;
+};
+
+// Facets in sidebar order. `values` lists what a book contributes.
+const FACET_DEFINITIONS = [
+  {
+    id: "language",
+    label: "Language",
+    // The query language only understands three-letter codes
+    values: (book) =>
+      (book.language || []).filter((code) => /^[a-z]{3}$/.test(code)),
+    toTerm: (code) => `lang:${code}`,
+  },
+  {
+    id: "decade",
+    label: "First published",
+    values: (book) =>
+      book.first_publish_year
+        ? [Math.floor(book.first_publish_year / 10) * 10]
+        : [],
+    toTerm: (decade) => `year:${decade}..${decade + 9}`,
+    sortByValue: true,
+  },
+  {
+    id: "subject",
+    label: "Subjects",
+    values: (book) => book.subject || [],
+    toTerm: (subject) => `subject:${quoteTermValue(subject)}`,
+  },
+  {
+    id: "author",
+    label: "Authors",
+    values: (book) => book.author_name || [],
+    toTerm: (author) => `author:${quoteTermValue(author)}`,
+  },
+  {
+    id: "availability",
+    label: "Availability",
+    values: (book) => [
+      ...(book.cover_i || book.cover_url ? ["cover"] : []),
+      ...(book.has_fulltext ? ["fulltext"] : []),
+    ],
+    toTerm: (value) => `has:${value}`,
+  },
+];
+
+/**
+ * Count facet values across a list of books
+ * @param {Array<Object>} books - Books currently shown
+ * @returns {Array<Object>} One { id, label, values } per facet that has values;
+ *   each value is { value, count, term } where `term` selects it in the query box
+ */
+export const computeFacets = (books) =>
+  FACET_DEFINITIONS.map((facet) => {
+    const counts = new Map();
+
+    books.forEach((book) => {
+      // Count each value once per book
+      new Set(facet.values(book)).forEach((value) => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+
+    const values = [...counts.entries()]
+      .map(([value, count]) => ({ value, count, term: facet.toTerm(value) }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_FACET_VALUES);
+
+    // Decades read better in order than by popularity
+    if (facet.sortByValue) values.sort((a, b) => b.value - a.value);
+
+    return { id: facet.id, label: facet.label, values };
+  }).filter((facet) => facet.values.length > 0);
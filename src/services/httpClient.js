@@ -0,0 +1,116 @@
+/**
+ * HTTP Client
+ * Shared JSON fetch with timeouts, caller cancellation, typed errors and
+ * retry with exponential backoff for transient failures
+ */
+
+import {
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  errorFromResponse,
+} from "./apiErrors";
+
+const DEFAULT_TIMEOUT = 8000; // 8 seconds
+const DEFAULT_RETRIES = 2;
+const BASE_BACKOFF = 500; // First retry waits ~0.5s, then ~1s, ~2s...
+const MAX_BACKOFF = 8000;
+
+/**
+ * Wait before the next attempt, cut short if the caller aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Caller's signal
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+const getBackoffDelay = (attempt, error) => {
+  if (error.retryAfter) {
+    return Math.min(error.retryAfter, MAX_BACKOFF);
+  }
+
+  // Exponential backoff with jitter so parallel retries don't line up
+  const delay = BASE_BACKOFF * 2 ** attempt;
+  return Math.min(delay + Math.random() * delay * 0.25, MAX_BACKOFF);
+};
+
+/**
+ * Single attempt: fetch and parse JSON, translating failures into typed errors
+ */
+const fetchOnce = async (url, { signal, timeout, headers }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const abortFromCaller = () => controller.abort();
+  signal?.addEventListener("abort", abortFromCaller);
+
+  try {
+    const response = await fetch(url, {
+      signal: controller.signal,
+      method: "GET",
+      headers: { Accept: "application/json", ...headers },
+    });
+
+    if (!response.ok) {
+      throw errorFromResponse(response, url);
+    }
+
+    return await response.json();
+  } catch (error) {
+    // Let cancellations through untouched so callers can ignore them
+    if (signal?.aborted) throw error;
+    if (error instanceof ApiError) throw error;
+    if (timedOut) throw new TimeoutError(url, timeout);
+    throw new NetworkError(url, error);
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener("abort", abortFromCaller);
+  }
+};
+
+/**
+ * Fetch a JSON resource
+ * @param {string} url - URL to request
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request and any pending retries
+ * @param {number} options.timeout - Per-attempt timeout in milliseconds (default: 8000)
+ * @param {number} options.retries - Extra attempts for transient failures (default: 2)
+ * @param {Object} options.headers - Additional request headers
+ * @returns {Promise<Object>} Parsed JSON body
+ * @throws {ApiError} Typed error once retries are exhausted, or the AbortError on cancellation
+ */
+export const fetchJson = async (
+  url,
+  {
+    signal,
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES,
+    headers = {},
+  } = {}
+) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchOnce(url, { signal, timeout, headers });
+    } catch (error) {
+      const canRetry =
+        !signal?.aborted && error.isTransient && attempt < retries;
+      if (!canRetry) throw error;
+
+      await wait(getBackoffDelay(attempt, error), signal);
+    }
+  }
+};
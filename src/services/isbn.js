@@ -0,0 +1,50 @@
+/**
+ * ISBN Utilities
+ * Normalisation and checksum validation for ISBN-10 and ISBN-13
+ */
+
+/**
+ * Strip hyphens and spaces, and upper-case a trailing ISBN-10 "x"
+ * @param {string} value - Raw input (e.g., "978-0-14-032872-1")
+ * @returns {string} Compact ISBN candidate (e.g., "9780140328721")
+ */
+export const normalizeIsbn = (value) =>
+  String(value || "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+
+const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+  // Weights 10 down to 1; "X" stands for 10 in the check position
+  const sum = [...isbn].reduce(
+    (total, char, index) =>
+      total + (char === "X" ? 10 : Number(char)) * (10 - index),
+    0
+  );
+  return sum % 11 === 0;
+};
+
+const isValidIsbn13 = (isbn) => {
+  if (!/^97[89]\d{10}$/.test(isbn)) return false;
+
+  // Alternating weights of 1 and 3
+  const sum = [...isbn].reduce(
+    (total, char, index) => total + Number(char) * (index % 2 ? 3 : 1),
+    0
+  );
+  return sum % 10 === 0;
+};
+
+/**
+ * Whether a value is a checksum-valid ISBN-10 or ISBN-13. Hyphens and
+ * spaces between digits are tolerated.
+ * @param {string} value - Raw input
+ * @returns {boolean} True for a valid ISBN
+ */
+export const isValidIsbn = (value) => {
+  const isbn = normalizeIsbn(value);
+  // Only digits, separators and a final X may appear in the raw value
+  if (!/^[\d\s-]+[\dXx]?$/.test(String(value || "").trim())) return false;
+  return isbn.length === 10 ? isValidIsbn10(isbn) : isValidIsbn13(isbn);
+};
@@ -0,0 +1,348 @@
+/**
+ * Library Import
+ * Reads Goodreads and StoryGraph CSV exports, matches each row to an Open
+ * Library work and adds the matched books to the personal library with their
+ * shelves, ratings, reviews and read dates.
+ *
+ * Parsed rows share one shape whatever the source:
+ * { rowNumber, title, searchTitle, authors, isbn, status, shelves, rating,
+ *   review, notes, startedOn, finishedOn, pageCount }
+ * where `status` is a default shelf ID (or null) and `shelves` lists custom
+ * shelf names.
+ */
+
+import {
+  searchOpenLibraryWorks,
+  getBookId,
+  normalizeIsbn,
+  isValidIsbn,
+} from "./bookService";
+import {
+  addBookToShelf,
+  createShelf,
+  updateReadingProgress,
+  getPageCount,
+} from "./shelves";
+import { rateBook, setBookReview, addBookNote } from "./annotations";
+
+const MAX_CANDIDATES = 5;
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may contain
+ * commas, doubled quotes and line breaks)
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} Non-blank rows
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, "");
+
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+
+    if (inQuotes) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") index++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+
+// "2023/01/15" or "2023-01-15" -> "2023-01-15"
+const toDate = (value) => {
+  const match = value?.trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/);
+  return match
+    ? `${match[1]}-${match[2].padStart(2, "0")}-${match[3].padStart(2, "0")}`
+    : null;
+};
+
+// Goodreads wraps ISBNs as ="0439023483" to stop spreadsheets eating zeros
+const toIsbn = (...values) =>
+  values
+    .map((value) => normalizeIsbn(value?.replace(/[="]/g, "") || ""))
+    .find((isbn) => isbn && isValidIsbn(isbn)) || null;
+
+const splitList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Reviews exported as HTML keep their line breaks as plain text
+const toPlainText = (value) =>
+  (value || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .trim();
+
+// Series markers like "(The Hunger Games, #1)" only get in the way of search
+const toSearchTitle = (title) =>
+  title.replace(/\s*\([^)]*#\s*\d[^)]*\)\s*$/, "").trim();
+
+// Both sites name their reading statuses the same way
+const EXPORT_STATUSES = {
+  read: "read",
+  "currently-reading": "currently-reading",
+  "to-read": "want-to-read",
+};
+
+// Statuses with no matching default shelf become custom shelves
+const STORYGRAPH_STATUS_SHELVES = {
+  "did-not-finish": "Did Not Finish",
+  paused: "Paused",
+};
+
+// Export formats, recognised by columns only they have
+const IMPORT_FORMATS = [
+  {
+    id: "goodreads",
+    name: "Goodreads",
+    columns: ["Book Id", "Exclusive Shelf"],
+    toRow: (get) => {
+      const exclusiveShelf = get("Exclusive Shelf");
+      const status = EXPORT_STATUSES[exclusiveShelf] || null;
+      return {
+        title: get("Title"),
+        authors: [get("Author"), ...splitList(get("Additional Authors"))],
+        isbn: toIsbn(get("ISBN13"), get("ISBN")),
+        status,
+        shelves: [
+          ...(status || !exclusiveShelf ? [] : [exclusiveShelf]),
+          ...splitList(get("Bookshelves")).filter(
+            (shelf) => shelf !== exclusiveShelf && !EXPORT_STATUSES[shelf]
+          ),
+        ],
+        rating: Number(get("My Rating")) || null,
+        review: toPlainText(get("My Review")),
+        notes: toPlainText(get("Private Notes")),
+        startedOn: null,
+        finishedOn: toDate(get("Date Read")),
+        pageCount: Number(get("Number of Pages")) || null,
+      };
+    },
+  },
+  {
+    id: "storygraph",
+    name: "StoryGraph",
+    columns: ["Read Status", "Star Rating"],
+    toRow: (get) => {
+      const readStatus = get("Read Status");
+      // "2023/01/05-2023/02/01, 2024/03/01-2024/03/09": the last read counts
+      const [startedOn, finishedOn] = (
+        splitList(get("Dates Read")).pop() || ""
+      ).split("-");
+      return {
+        title: get("Title"),
+        authors: splitList(get("Authors")),
+        isbn: toIsbn(get("ISBN/UID")),
+        status: EXPORT_STATUSES[readStatus] || null,
+        shelves: [
+          ...(STORYGRAPH_STATUS_SHELVES[readStatus]
+            ? [STORYGRAPH_STATUS_SHELVES[readStatus]]
+            : []),
+          ...splitList(get("Tags")),
+        ],
+        rating: Number(get("Star Rating")) || null,
+        review: toPlainText(get("Review")),
+        notes: "",
+        startedOn: toDate(startedOn),
+        finishedOn: toDate(finishedOn) || toDate(get("Last Date Read")),
+        pageCount: null,
+      };
+    },
+  },
+];
+
+/**
+ * Parse a Goodreads or StoryGraph CSV export
+ * @param {string} text - CSV file contents
+ * @returns {Object} { format, formatName, rows } with rows in the shared shape
+ * @throws {Error} When the file isn't a recognised export or has no books
+ */
+export const parseReadingExport = (text) => {
+  const [headers = [], ...records] = parseCsv(text);
+  const columns = headers.map((header) => header.trim());
+  const format = IMPORT_FORMATS.find((candidate) =>
+    candidate.columns.every((column) => columns.includes(column))
+  );
+
+  if (!format) {
+    throw new Error(
+      "This doesn't look like a Goodreads or StoryGraph export. Export your library as CSV from either site and choose that file."
+    );
+  }
+
+  const rows = records
+    .map((cells, index) => {
+      const get = (column) => cells[columns.indexOf(column)]?.trim() || "";
+      const row = format.toRow(get);
+      return {
+        ...row,
+        rowNumber: index + 1,
+        authors: row.authors.filter(Boolean),
+        searchTitle: toSearchTitle(row.title),
+      };
+    })
+    .filter((row) => row.title);
+
+  if (rows.length === 0) {
+    throw new Error("The export doesn't contain any books.");
+  }
+
+  return { format: format.id, formatName: format.name, rows };
+};
+
+// Lowercase words only, without subtitles, for comparing titles and names
+const simplify = (text) =>
+  (text || "")
+    .split(":")[0]
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const lastName = (name) => simplify(name).split(" ").pop();
+
+// A work is a confident match when its title and an author's surname agree
+const isCloseMatch = (row, work) =>
+  simplify(work.title) === simplify(row.searchTitle) &&
+  (row.authors.length === 0 ||
+    (work.author_name || []).some((author) =>
+      row.authors.some((name) => lastName(name) === lastName(author))
+    ));
+
+/**
+ * Match an imported row to an Open Library work: by ISBN first, then by
+ * title and author
+ * @param {Object} row - Parsed import row
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the lookups
+ * @returns {Promise<Object>} { status, book, candidates, matchedBy } where
+ *   status is "matched", "ambiguous" (pick from candidates) or "unmatched"
+ * @throws {ApiError} When Open Library can't be reached
+ */
+export const matchImportRow = async (row, { signal } = {}) => {
+  if (row.isbn) {
+    const [work] = await searchOpenLibraryWorks({ isbn: row.isbn }, 1, {
+      signal,
+    });
+    if (work) {
+      return {
+        status: "matched",
+        book: work,
+        candidates: [work],
+        matchedBy: "isbn",
+      };
+    }
+  }
+
+  const candidates = await searchOpenLibraryWorks(
+    { title: row.searchTitle, author: row.authors[0] },
+    MAX_CANDIDATES,
+    { signal }
+  );
+
+  if (candidates.length === 0) {
+    return { status: "unmatched", book: null, candidates, matchedBy: null };
+  }
+  if (isCloseMatch(row, candidates[0])) {
+    return {
+      status: "matched",
+      book: candidates[0],
+      candidates,
+      matchedBy: "title",
+    };
+  }
+  return { status: "ambiguous", book: null, candidates, matchedBy: null };
+};
+
+// Custom shelf with this name, created if needed
+const withShelfNamed = (library, name) => {
+  const existing = library.shelves.find(
+    (shelf) => shelf.name.toLowerCase() === name.toLowerCase()
+  );
+  if (existing) return { library, shelfId: existing.id };
+
+  const next = createShelf(library, name);
+  return { library: next, shelfId: next.shelves[next.shelves.length - 1].id };
+};
+
+/**
+ * Add one imported book to the library
+ * @param {Object} library - Current library
+ * @param {Object} row - Parsed import row
+ * @param {Object} book - Open Library work it was matched to
+ * @returns {Object} Updated library
+ */
+export const importBook = (library, row, book) => {
+  const bookId = getBookId(book);
+  const isNew = !library.books[bookId];
+  let next = library;
+
+  if (row.status) next = addBookToShelf(next, bookId, book, row.status);
+  row.shelves.forEach((name) => {
+    const { library: withShelf, shelfId } = withShelfNamed(next, name);
+    next = addBookToShelf(withShelf, bookId, book, shelfId);
+  });
+
+  // Dates come from the export, not from the day of the import. Books already
+  // in the library keep the dates the export doesn't have.
+  if (next.books[bookId]) {
+    const pageCount = row.pageCount || getPageCount(next.books[bookId]);
+    next = updateReadingProgress(next, bookId, {
+      ...((row.startedOn || isNew) && { startedOn: row.startedOn }),
+      ...(row.status === "read" &&
+        (row.finishedOn || isNew) && { finishedOn: row.finishedOn }),
+      ...(row.pageCount && { pageCount: row.pageCount }),
+      ...(row.status === "read" && pageCount && { currentPage: pageCount }),
+    });
+  }
+
+  if (row.rating) next = rateBook(next, bookId, book, row.rating);
+  if (row.review) next = setBookReview(next, bookId, book, row.review);
+
+  // Importing the same file twice shouldn't duplicate notes
+  const notes = next.annotations[bookId]?.notes || [];
+  if (row.notes && !notes.some((note) => note.text === row.notes)) {
+    next = addBookNote(next, bookId, book, row.notes);
+  }
+
+  return next;
+};
+
+/**
+ * Add every matched book to the library
+ * @param {Object} library - Current library
+ * @param {Array<Object>} items - { row, book } pairs; items without a book are skipped
+ * @returns {Object} Updated library
+ */
+export const importBooks = (library, items) =>
+  items
+    .filter((item) => item.book)
+    .reduce((next, item) => importBook(next, item.row, item.book), library);
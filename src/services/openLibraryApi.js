@@ -3,6 +3,9 @@
  * Provides functions to search books using the Open Library API
  */
 
+import { cachedFetch } from "./cacheStore";
+import { fetchJson } from "./httpClient";
+
 // Use proxy URLs in development, direct URLs in production
 const BASE_URL = import.meta.env.DEV
   ? "/api/openlibrary"
@@ -11,9 +14,47 @@ const COVERS_BASE_URL = import.meta.env.DEV
   ? "/api/covers"
   : "https://covers.openlibrary.org";
 
-// Simple cache to speed up repeated searches
-const searchCache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+/**
+ * Build the search.json query string for our search parameters. Criteria
+ * without a dedicated API parameter are expressed in the `q` query syntax.
+ * @param {Object} searchParams - Search parameters, see searchBooks
+ * @returns {URLSearchParams} Query parameters (without paging)
+ */
+const buildSearchParams = ({
+  title,
+  author,
+  subject,
+  q,
+  publisher,
+  language,
+  isbn,
+  yearFrom,
+  yearTo,
+  hasFulltext,
+  hasCover,
+  sort,
+}) => {
+  const params = new URLSearchParams();
+  const clauses = [];
+
+  if (q) clauses.push(q.trim());
+  if (yearFrom || yearTo) {
+    clauses.push(`first_publish_year:[${yearFrom || "*"} TO ${yearTo || "*"}]`);
+  }
+  if (hasCover) clauses.push("cover_i:[1 TO *]");
+
+  if (clauses.length > 0) params.append("q", clauses.join(" "));
+  if (title) params.append("title", title.trim());
+  if (author) params.append("author", author.trim());
+  if (subject) params.append("subject", subject.trim());
+  if (publisher) params.append("publisher", publisher.trim());
+  if (language) params.append("language", language);
+  if (isbn) params.append("isbn", isbn.replace(/[\s-]/g, ""));
+  if (hasFulltext) params.append("has_fulltext", "true");
+  if (sort && sort !== "relevance") params.append("sort", sort);
+
+  return params;
+};
 
 /**
  * Search books with various parameters
@@ -21,96 +62,98 @@ const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
  * @param {string} searchParams.title - Book title
  * @param {string} searchParams.author - Author name
  * @param {string} searchParams.subject - Subject/genre
- * @param {number} limit - Maximum number of results (default: 100)
+ * @param {string} searchParams.q - General keywords, also accepts Open Library query syntax
+ * @param {string} searchParams.publisher - Publisher name
+ * @param {string} searchParams.language - MARC language code (e.g., "eng")
+ * @param {string} searchParams.isbn - ISBN-10 or ISBN-13
+ * @param {number} searchParams.yearFrom - Earliest first publish year
+ * @param {number} searchParams.yearTo - Latest first publish year
+ * @param {boolean} searchParams.hasFulltext - Only books with a readable full text
+ * @param {boolean} searchParams.hasCover - Only books with a cover image
+ * @param {string} searchParams.sort - Open Library sort: new, old, editions, rating or title (default: relevance)
+ * @param {number} limit - Page size sent to the API as `limit` (default: 25)
  * @param {number} offset - Number of results to skip for pagination (default: 0)
- * @returns {Promise<Object>} Search results from Open Library API
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request; cancelled searches reject instead of returning fallback data
+ * @param {Function} options.onRevalidate - Called once stale cached results have been refreshed in the background
+ * @param {boolean} options.refresh - Fetch from the network even when the page is cached
+ * @returns {Promise<Object>} One page of search results; `numFound` is the total across all pages
  */
 export const searchBooks = async (
-  { title, author, subject },
+  searchParams,
   limit = 25, // Further reduced for faster loading
-  offset = 0
+  offset = 0,
+  { signal, onRevalidate, refresh } = {}
 ) => {
-  // Create cache key
-  const cacheKey = JSON.stringify({ title, author, subject, limit, offset });
+  const { title, author } = searchParams;
 
-  // Check cache first
-  const cached = searchCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    return cached.data;
-  }
+  // Create cache key - one entry per page and set of criteria
+  const cacheKey = JSON.stringify({ ...searchParams, limit, offset });
 
-  const params = new URLSearchParams();
-
-  // Add search parameters
-  if (title) {
-    params.append("title", title.trim());
-  }
-
-  if (author) {
-    params.append("author", author.trim());
-  }
-
-  if (subject) {
-    params.append("subject", subject.trim());
-  }
+  const params = buildSearchParams(searchParams);
 
   // Add limit and offset for pagination
   params.append("limit", limit);
   params.append("offset", offset);
 
   // Reduced fields for faster response - only essential data
-  params.append("fields", "key,title,author_name,first_publish_year,cover_i");
+  params.append(
+    "fields",
+    "key,title,author_name,first_publish_year,cover_i,isbn,edition_count,ratings_average,language,subject,has_fulltext"
+  );
 
   const url = `${BASE_URL}/search.json?${params.toString()}`;
 
   try {
-    // Add timeout for faster failure and retry
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 8000); // 8 second timeout
-
-    const response = await fetch(url, {
-      signal: controller.signal,
-      mode: "cors",
-      method: "GET",
-      headers: {
-        Accept: "application/json",
-        "User-Agent": "BookFinder/1.0",
+    // Served from the persistent cache when possible, revalidated when stale
+    return await cachedFetch(
+      "search",
+      cacheKey,
+      async (request) => {
+        // Times out after 8s and retries transient failures with backoff
+        const data = await fetchJson(url, {
+          ...request,
+          headers: { "User-Agent": "BookFinder/1.0" },
+        });
+
+        // Fast processing - minimal operations. The API already returns only the
+        // requested page, so every usable doc is kept.
+        const processedBooks = data.docs
+          ? data.docs
+              // Only books with title and either cover or author
+              .filter(
+                (book) => book.title && (book.cover_i || book.author_name)
+              )
+              .map(fastProcessBookData)
+          : [];
+
+        const result = {
+          ...data,
+          docs: processedBooks,
+          limit,
+          offset,
+        };
+
+        return result;
       },
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      { signal, onRevalidate, refresh }
+    );
+  } catch (error) {
+    // A cancelled search has been superseded - never replace it with fallback
+    // data. Errors that retrying can't fix (bad request, not found) surface too.
+    if (signal?.aborted || !error.isTransient) {
+      throw error;
     }
 
-    const data = await response.json();
-
-    // Fast processing - minimal operations
-    const processedBooks = data.docs
-      ? data.docs
-          .filter((book) => book.title && (book.cover_i || book.author_name)) // Only books with title and either cover or author
-          .slice(0, 15) // Limit to 15 books for fast display
-          .map(fastProcessBookData)
-      : [];
-
-    const result = {
-      ...data,
-      docs: processedBooks,
-    };
-
-    // Save to cache
-    searchCache.set(cacheKey, {
-      data: result,
-      timestamp: Date.now(),
-    });
-
-    return result;
-  } catch (error) {
     console.error("API search failed, using fallback data:", error);
 
-    // Return fallback data filtered by search criteria
-    const fallbackData = getFallbackBooks();
+    // Return fallback data filtered by search criteria, flagged so the UI can
+    // tell users they are looking at offline results
+    const fallbackData = {
+      ...getFallbackBooks(),
+      isFallback: true,
+      fallbackReason: error.type,
+    };
 
     // Filter fallback data based on search terms
     if (title || author) {
@@ -150,6 +193,13 @@ const fastProcessBookData = (book) => {
       : [], // Limit to 3 authors
     first_publish_year: book.first_publish_year,
     cover_i: book.cover_i,
+    isbn: Array.isArray(book.isbn) ? book.isbn.slice(0, 10) : [], // Enough to dedupe against other providers
+    edition_count: book.edition_count,
+    ratings_average: book.ratings_average,
+    // Kept for the facet sidebar
+    language: Array.isArray(book.language) ? book.language : [],
+    subject: Array.isArray(book.subject) ? book.subject.slice(0, 10) : [],
+    has_fulltext: Boolean(book.has_fulltext),
   };
 };
 
@@ -299,6 +349,7 @@ const getPopularBooksWithCovers = async (targetCount = 12, offset = 0) => {
   ];
 
   let allBooks = [];
+  let fallbackReason = null;
 
   // Try specific popular works that typically have reliable covers
   for (const query of reliableQueries) {
@@ -306,6 +357,13 @@ const getPopularBooksWithCovers = async (targetCount = 12, offset = 0) => {
 
     try {
       const results = await searchBooks(query, 25, 0); // Increased limit
+
+      // The API is unreachable - don't wait for every other query to fail too
+      if (results.isFallback) {
+        fallbackReason = results.fallbackReason;
+        break;
+      }
+
       const booksWithCovers = results.docs.filter(
         (book) =>
           book.cover_i &&
@@ -330,21 +388,31 @@ const getPopularBooksWithCovers = async (targetCount = 12, offset = 0) => {
     }
   }
 
-  // Remove duplicates and sort by cover_i (lower IDs are more reliable)
-  const uniqueBooks = allBooks
-    .filter(
-      (book, index, arr) => arr.findIndex((b) => b.key === book.key) === index
-    )
-    .sort((a, b) => (a.cover_i || 999999) - (b.cover_i || 999999)); // Sort by cover ID
+  if (allBooks.length === 0 && fallbackReason) {
+    const fallbackData = getFallbackBooks();
+    return {
+      ...fallbackData,
+      showing: fallbackData.docs.length,
+      isFallback: true,
+      fallbackReason,
+    };
+  }
+
+  // Remove duplicates, keeping the order the queries returned them in
+  const uniqueBooks = allBooks.filter(
+    (book, index, arr) => arr.findIndex((b) => b.key === book.key) === index
+  );
 
   // If we don't have enough books, try a broader search
-  if (uniqueBooks.length < targetCount) {
+  if (uniqueBooks.length < targetCount && !fallbackReason) {
     console.log(
       `Only found ${uniqueBooks.length} books, trying broader search...`
     );
     try {
       const broadResults = await searchBooks({ subject: "literature" }, 50, 0);
-      const moreBooksWithCovers = broadResults.docs.filter(
+      // Never pad live results with offline placeholders
+      const liveDocs = broadResults.isFallback ? [] : broadResults.docs;
+      const moreBooksWithCovers = liveDocs.filter(
         (book) =>
           book.cover_i &&
           book.cover_i !== -1 &&
@@ -379,9 +447,13 @@ const getPopularBooksWithCovers = async (targetCount = 12, offset = 0) => {
 /**
  * Get detailed book information
  * @param {string} bookKey - Book key/ID from the search results
+ * @param {Object} options - Request options
+ * @param {Function} options.onRevalidate - Called once a stale cached work or
+ *   edition list has been refreshed in the background
  * @returns {Promise<Object>} Detailed book information
+ * @throws {ApiError} Typed error (not found, offline, timeout...) when the work can't be loaded
  */
-export const getBookDetails = async (bookKey) => {
+export const getBookDetails = async (bookKey, { onRevalidate } = {}) => {
   // Clean the book key - ensure it starts with /works/
   let cleanKey = bookKey;
   if (!cleanKey.startsWith("/works/")) {
@@ -395,32 +467,29 @@ export const getBookDetails = async (bookKey) => {
   const url = `${BASE_URL}${cleanKey}.json`;
 
   try {
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const bookData = await response.json();
+    const bookData = await cachedFetch("work", cleanKey, () => fetchJson(url), {
+      onRevalidate,
+    });
 
-    // Also fetch editions to get more complete information
+    // Also fetch editions to get more complete information, and resolve
+    // author keys to names at the same time
     const editionsUrl = `${BASE_URL}${cleanKey}/editions.json`;
-    let editionsData = null;
-
-    try {
-      const editionsResponse = await fetch(editionsUrl);
-      if (editionsResponse.ok) {
-        editionsData = await editionsResponse.json();
-      }
-    } catch (editionError) {
-      console.warn("Could not fetch editions data:", editionError);
-    }
+    const [editionsData, authors] = await Promise.all([
+      cachedFetch("editions", cleanKey, () => fetchJson(editionsUrl), {
+        onRevalidate,
+      }).catch((editionError) => {
+        console.warn("Could not fetch editions data:", editionError);
+        return null;
+      }),
+      resolveAuthors(bookData.authors),
+    ]);
 
     // Combine work data with edition data for more complete information
     const processedBook = {
       ...bookData,
       title: bookData.title || "Untitled",
-      author_name: extractAuthors(bookData.authors),
+      authors,
+      author_name: authors.map((author) => author.name),
       description: bookData.description,
       first_sentence: bookData.first_sentence,
       subject: Array.isArray(bookData.subjects) ? bookData.subjects : [],
@@ -430,12 +499,7 @@ export const getBookDetails = async (bookKey) => {
         : null,
       // Add edition information if available
       ...(editionsData?.entries?.[0] && {
-        publisher: editionsData.entries[0].publishers || [],
-        isbn:
-          editionsData.entries[0].isbn_13 ||
-          editionsData.entries[0].isbn_10 ||
-          [],
-        language: editionsData.entries[0].languages || [],
+        ...editionMetadata(processEdition(editionsData.entries[0])),
         edition_count: editionsData.size || 1,
       }),
     };
@@ -443,28 +507,312 @@ export const getBookDetails = async (bookKey) => {
     return processedBook;
   } catch (error) {
     console.error("Error fetching book details:", error);
-    throw new Error(
-      "Failed to fetch book details. Please check your connection and try again."
-    );
+    // Typed errors pass through so the detail page can explain what went wrong
+    throw error;
+  }
+};
+
+/**
+ * Normalise an edition record from editions.json or /books/:id.json
+ * @param {Object} edition - Raw edition record
+ * @returns {Object} Edition with flat language codes and ISBN lists
+ */
+export const processEdition = (edition) => {
+  const isbn13 = Array.isArray(edition.isbn_13) ? edition.isbn_13 : [];
+  const isbn10 = Array.isArray(edition.isbn_10) ? edition.isbn_10 : [];
+
+  return {
+    key: edition.key,
+    id: edition.key?.split("/").pop(),
+    title: edition.title || "Untitled",
+    cover_i: edition.covers?.find((id) => id && id !== -1) || null,
+    publishers: Array.isArray(edition.publishers) ? edition.publishers : [],
+    publish_date: edition.publish_date || null,
+    physical_format: edition.physical_format || null,
+    number_of_pages: edition.number_of_pages || null,
+    // Languages come as [{ key: "/languages/eng" }]
+    languages: Array.isArray(edition.languages)
+      ? edition.languages.map((language) => language.key.split("/").pop())
+      : [],
+    isbn_13: isbn13,
+    isbn_10: isbn10,
+    isbn: [...isbn13, ...isbn10],
+  };
+};
+
+/**
+ * Book-level fields that come from a specific edition
+ * @param {Object} edition - Edition from processEdition
+ * @returns {Object} Fields to spread over the work's details
+ */
+export const editionMetadata = (edition) => ({
+  publisher: edition.publishers,
+  isbn: edition.isbn,
+  language: edition.languages,
+  publish_date: edition.publish_date,
+  number_of_pages: edition.number_of_pages,
+  physical_format: edition.physical_format,
+});
+
+/**
+ * Get one page of a work's editions
+ * @param {string} workId - Work ID (e.g., "OL45804W")
+ * @param {number} limit - Editions per request
+ * @param {number} offset - Number of editions to skip
+ * @returns {Promise<Object>} { docs, numFound } with processed editions
+ * @throws {ApiError} Typed error when the editions can't be loaded
+ */
+export const getWorkEditions = async (workId, limit = 100, offset = 0) => {
+  const cleanId = workId.split("/").pop();
+  const params = new URLSearchParams({ limit, offset });
+  const path = `/works/${cleanId}/editions.json?${params.toString()}`;
+  const data = await cachedFetch("editions", path, () =>
+    fetchJson(`${BASE_URL}${path}`)
+  );
+
+  return {
+    docs: (data.entries || []).map(processEdition),
+    numFound: data.size || 0,
+  };
+};
+
+const fetchEdition = async (path) => {
+  const data = await cachedFetch("editions", path, () =>
+    fetchJson(`${BASE_URL}${path}`)
+  );
+
+  return {
+    ...processEdition(data),
+    works: (data.works || []).map((work) => work.key.split("/").pop()),
+  };
+};
+
+/**
+ * Get a single edition
+ * @param {string} editionId - Edition ID (e.g., "OL7353617M")
+ * @returns {Promise<Object>} Processed edition, including its work IDs
+ * @throws {ApiError} Typed error when the edition can't be loaded
+ */
+export const getEdition = async (editionId) =>
+  fetchEdition(`/books/${editionId.split("/").pop()}.json`);
+
+/**
+ * Get the edition with a given ISBN
+ * @param {string} isbn - Normalised ISBN-10 or ISBN-13
+ * @returns {Promise<Object>} Processed edition, including its work IDs
+ * @throws {ApiError} NotFoundError when Open Library doesn't know the ISBN
+ */
+export const getEditionByIsbn = async (isbn) =>
+  // Open Library redirects /isbn/ to the matching /books/ record
+  fetchEdition(`/isbn/${isbn}.json`);
+
+/**
+ * Get an author record
+ * @param {string} authorId - Author ID (e.g., "OL23919A") or key ("/authors/OL23919A")
+ * @returns {Promise<Object>} Author record from Open Library
+ * @throws {ApiError} Typed error when the request fails
+ */
+export const getAuthor = async (authorId) => {
+  const cleanId = authorId.split("/").pop();
+
+  return cachedFetch("author", cleanId, () =>
+    fetchJson(`${BASE_URL}/authors/${cleanId}.json`)
+  );
+};
+
+/**
+ * Get an author's profile, normalised for display
+ * @param {string} authorId - Author ID (e.g., "OL23919A")
+ * @returns {Promise<Object>} Author with name, dates, bio, photo and alternate names
+ * @throws {ApiError} Typed error when the author can't be loaded
+ */
+export const getAuthorDetails = async (authorId) => {
+  const record = await getAuthor(authorId);
+
+  return {
+    key: record.key,
+    id: record.key?.split("/").pop() || authorId,
+    name: record.name || record.personal_name || "Unknown Author",
+    birth_date: record.birth_date || null,
+    death_date: record.death_date || null,
+    bio: typeof record.bio === "string" ? record.bio : record.bio?.value || "",
+    photo_id: Array.isArray(record.photos)
+      ? record.photos.find((id) => id && id !== -1) || null
+      : null,
+    alternate_names: Array.isArray(record.alternate_names)
+      ? [...new Set(record.alternate_names)].filter(
+          (name) => name !== record.name
+        )
+      : [],
+    links: Array.isArray(record.links) ? record.links : [],
+    wikipedia: record.wikipedia || null,
+  };
+};
+
+/**
+ * Get one page of an author's works
+ * @param {string} authorId - Author ID (e.g., "OL23919A")
+ * @param {number} limit - Works per request
+ * @param {number} offset - Number of works to skip
+ * @returns {Promise<Object>} { docs, numFound } with docs shaped like search results
+ * @throws {ApiError} Typed error when the works can't be loaded
+ */
+export const getAuthorWorks = async (authorId, limit = 100, offset = 0) => {
+  const cleanId = authorId.split("/").pop();
+  const params = new URLSearchParams({ limit, offset });
+  const data = await cachedFetch(
+    "author",
+    `${cleanId}/works?${params.toString()}`,
+    () =>
+      fetchJson(
+        `${BASE_URL}/authors/${cleanId}/works.json?${params.toString()}`
+      )
+  );
+
+  return {
+    docs: (data.entries || []).map((work) => {
+      const year = parseInt(work.first_publish_date?.match(/\d{4}/)?.[0], 10);
+      return {
+        key: work.key,
+        title: work.title || "Untitled",
+        cover_i: work.covers?.find((id) => id && id !== -1) || null,
+        first_publish_year: Number.isNaN(year) ? undefined : year,
+        subject: Array.isArray(work.subjects) ? work.subjects.slice(0, 5) : [],
+      };
+    }),
+    numFound: data.size || 0,
+  };
+};
+
+/**
+ * Get an author photo URL
+ * @param {number|string} photoId - Photo ID from the author record
+ * @param {string} size - Size: 'S' (small), 'M' (medium), 'L' (large)
+ * @returns {string|null} Photo URL or null if no photo available
+ */
+export const getAuthorPhotoUrl = (photoId, size = "M") => {
+  if (!photoId || photoId === -1) {
+    return null;
   }
+
+  const validSizes = ["S", "M", "L"];
+  const photoSize = validSizes.includes(size) ? size : "M";
+
+  return `${COVERS_BASE_URL}/a/id/${photoId}-${photoSize}.jpg`;
+};
+
+/**
+ * Turn a subject name into the slug used by /subjects/:slug.json
+ * @param {string} subject - Subject name (e.g., "Science Fiction")
+ * @returns {string} Slug (e.g., "science_fiction")
+ */
+export const toSubjectSlug = (subject) =>
+  subject.trim().toLowerCase().replace(/\s+/g, "_");
+
+/**
+ * Get a subject with one page of its works
+ * @param {string} slug - Subject slug (e.g., "science_fiction")
+ * @param {number} limit - Works per page
+ * @param {number} offset - Number of works to skip
+ * @param {boolean} details - Also load related subjects, top authors and publishing history
+ * @returns {Promise<Object>} Subject with works shaped like search results
+ * @throws {ApiError} Typed error when the subject can't be loaded
+ */
+export const getSubject = async (
+  slug,
+  limit = 20,
+  offset = 0,
+  details = false
+) => {
+  const params = new URLSearchParams({ limit, offset, details });
+  const path = `/subjects/${encodeURIComponent(slug)}.json?${params.toString()}`;
+  const data = await cachedFetch("subject", path, () =>
+    fetchJson(`${BASE_URL}${path}`)
+  );
+
+  const toNamedCount = (entry) => ({
+    name: entry.name,
+    slug: entry.key?.split("/").pop() || toSubjectSlug(entry.name),
+    count: entry.count,
+  });
+
+  return {
+    name: data.name || slug.replace(/_/g, " "),
+    work_count: data.work_count || 0,
+    docs: (data.works || []).map((work) => ({
+      key: work.key,
+      title: work.title || "Untitled",
+      author_name: Array.isArray(work.authors)
+        ? work.authors.map((author) => author.name).slice(0, 3)
+        : [],
+      first_publish_year: work.first_publish_year,
+      cover_i: work.cover_id,
+      edition_count: work.edition_count,
+    })),
+    ...(details && {
+      related_subjects: (data.subjects || []).map(toNamedCount),
+      top_authors: (data.authors || []).map((author) => ({
+        name: author.name,
+        id: author.key?.split("/").pop(),
+        count: author.count,
+      })),
+      publishing_history: Array.isArray(data.publishing_history)
+        ? data.publishing_history.map(([year, count]) => ({ year, count }))
+        : [],
+    }),
+  };
+};
+
+// Author records fetched in parallel per batch, to stay polite to the API
+const AUTHOR_BATCH_SIZE = 5;
+
+/**
+ * Normalise one entry of a work's authors array
+ * @param {Object|string} author - Entry from work data
+ * @returns {Object} { key, name, role } with whatever is known so far
+ */
+const normalizeAuthorEntry = (author) => {
+  if (typeof author === "string") return { key: null, name: author };
+
+  return {
+    key: author.author?.key || author.key || null,
+    name: author.name || null,
+    role: typeof author.role === "string" ? author.role : undefined,
+  };
 };
 
 /**
- * Extract author information from work data
+ * Resolve a work's author references to names, fetching author records in
+ * batches (each record is cached, so repeat visits are free)
  * @param {Array} authors - Authors array from work data
- * @returns {Array} Array of author names
+ * @returns {Promise<Array<Object>>} Authors as { key, id, name, role }
  */
-const extractAuthors = (authors) => {
+export const resolveAuthors = async (authors) => {
   if (!Array.isArray(authors)) return [];
 
-  return authors.map((author) => {
-    if (typeof author === "string") return author;
-    if (author.author && author.author.key) {
-      // We would need another API call to get author name, for now return key
-      return author.author.key.split("/").pop();
-    }
-    return author.name || "Unknown Author";
-  });
+  const entries = authors.map(normalizeAuthorEntry);
+  const unresolved = entries.filter((entry) => entry.key && !entry.name);
+
+  for (let i = 0; i < unresolved.length; i += AUTHOR_BATCH_SIZE) {
+    const batch = unresolved.slice(i, i + AUTHOR_BATCH_SIZE);
+    await Promise.all(
+      batch.map(async (entry) => {
+        try {
+          const record = await getAuthor(entry.key);
+          entry.name = record.name || record.personal_name || null;
+        } catch (error) {
+          console.warn(`Could not resolve author ${entry.key}:`, error);
+        }
+      })
+    );
+  }
+
+  return entries.map((entry) => ({
+    ...entry,
+    id: entry.key ? entry.key.split("/").pop() : null,
+    // Fall back to the bare ID only when the author record is unavailable
+    name: entry.name || entry.key?.split("/").pop() || "Unknown Author",
+  }));
 };
 
 /**
@@ -539,6 +887,61 @@ export const getFallbackBooks = () => {
   };
 };
 
+/**
+ * Suggest titles for a partially typed title. Requests only the fields the
+ * dropdown shows, so it stays much lighter than a full search.
+ * @param {string} text - Text typed so far
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Array<Object>>} Up to 8 { key, title, author_name, first_publish_year }
+ */
+export const suggestTitles = async (text, { signal } = {}) => {
+  const params = new URLSearchParams({
+    title: text.trim(),
+    limit: 8,
+    fields: "key,title,author_name,first_publish_year",
+  });
+  const path = `/search.json?${params.toString()}`;
+  const data = await cachedFetch(
+    "suggest",
+    path,
+    (request) => fetchJson(`${BASE_URL}${path}`, { ...request, retries: 0 }),
+    { signal }
+  );
+
+  return (data.docs || []).map((doc) => ({
+    key: doc.key,
+    title: doc.title,
+    author_name: doc.author_name || [],
+    first_publish_year: doc.first_publish_year,
+  }));
+};
+
+/**
+ * Suggest authors for a partially typed name
+ * @param {string} text - Text typed so far
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Array<Object>>} Up to 8 { key, name, top_work, work_count }
+ */
+export const suggestAuthors = async (text, { signal } = {}) => {
+  const params = new URLSearchParams({ q: text.trim(), limit: 8 });
+  const path = `/search/authors.json?${params.toString()}`;
+  const data = await cachedFetch(
+    "suggest",
+    path,
+    (request) => fetchJson(`${BASE_URL}${path}`, { ...request, retries: 0 }),
+    { signal }
+  );
+
+  return (data.docs || []).map((doc) => ({
+    key: doc.key,
+    name: doc.name,
+    top_work: doc.top_work,
+    work_count: doc.work_count || 0,
+  }));
+};
+
 /**
  * Example API URLs for reference:
  *
@@ -554,6 +957,9 @@ export const getFallbackBooks = () => {
  * Combined search:
  * https://openlibrary.org/search.json?title=machine+learning&author=andrew+ng
  *
+ * Author suggestions:
+ * https://openlibrary.org/search/authors.json?q=tolk&limit=8
+ *
  * Cover images:
  * https://covers.openlibrary.org/b/id/8231856-L.jpg
  */
@@ -0,0 +1,200 @@
+/**
+ * Google Books provider
+ * Searches the public Google Books volumes API and maps volumes onto the
+ * same book shape used by the Open Library provider
+ */
+
+import { cachedFetch } from "../cacheStore";
+import { fetchJson } from "../httpClient";
+
+const GOOGLE_BOOKS_URL = "https://www.googleapis.com/books/v1/volumes";
+
+export const GOOGLE_BOOKS_PROVIDER_ID = "googlebooks";
+
+// Book IDs handed to the router are prefixed so they can't clash with Open Library IDs
+const BOOK_ID_PREFIX = "gbooks:";
+
+// Google Books caps maxResults at 40
+const MAX_PAGE_SIZE = 40;
+
+// Open Library's MARC language codes mapped to the ISO 639-1 codes Google uses
+const LANGUAGE_CODES = {
+  eng: "en",
+  fre: "fr",
+  ger: "de",
+  spa: "es",
+  ita: "it",
+  por: "pt",
+  rus: "ru",
+  jpn: "ja",
+  chi: "zh",
+  ara: "ar",
+  dut: "nl",
+  swe: "sv",
+  pol: "pl",
+  hin: "hi",
+};
+
+// Google's ISO 639-1 codes mapped back, so languages match Open Library's
+const MARC_CODES = Object.fromEntries(
+  Object.entries(LANGUAGE_CODES).map(([marc, iso]) => [iso, marc])
+);
+
+/**
+ * Build the Google Books `q` parameter from our search parameters
+ * @param {Object} searchParams - Normalised search parameters
+ * @returns {string} Google Books query string
+ */
+const buildQuery = ({ title, author, subject, q, publisher, isbn }) => {
+  const parts = [];
+
+  if (q) parts.push(q);
+  if (title) parts.push(`intitle:${title}`);
+  if (author) parts.push(`inauthor:${author}`);
+  if (subject) parts.push(`subject:${subject}`);
+  if (publisher) parts.push(`inpublisher:${publisher}`);
+  if (isbn) parts.push(`isbn:${isbn.replace(/[\s-]/g, "")}`);
+
+  return parts.join(" ");
+};
+
+/**
+ * Apply the criteria Google Books can't express in its query to a page of
+ * results. Totals stay as reported, so page counts are approximate.
+ * @param {Array<Object>} docs - Processed volumes
+ * @param {Object} searchParams - Normalised search parameters
+ * @returns {Array<Object>} Matching volumes
+ */
+const filterVolumes = (docs, { yearFrom, yearTo, hasCover }) =>
+  docs.filter(
+    (book) =>
+      (!yearFrom || book.first_publish_year >= yearFrom) &&
+      (!yearTo || book.first_publish_year <= yearTo) &&
+      (!hasCover || Boolean(book.cover_url))
+  );
+
+/**
+ * Map a Google Books volume onto our book shape
+ * @param {Object} volume - Volume resource from the API
+ * @returns {Object} Processed book data
+ */
+const processVolume = (volume) => {
+  const info = volume.volumeInfo || {};
+  const identifiers = info.industryIdentifiers || [];
+  const isbn = identifiers
+    .filter((id) => id.type === "ISBN_13" || id.type === "ISBN_10")
+    .map((id) => id.identifier);
+  const year = parseInt(info.publishedDate, 10);
+
+  return {
+    key: `/gbooks/${volume.id}`,
+    provider: GOOGLE_BOOKS_PROVIDER_ID,
+    title: info.subtitle
+      ? `${info.title}: ${info.subtitle}`
+      : info.title || "Untitled",
+    author_name: Array.isArray(info.authors) ? info.authors : [],
+    first_publish_year: Number.isNaN(year) ? undefined : year,
+    cover_url: info.imageLinks?.thumbnail?.replace("http://", "https://"),
+    isbn,
+    publisher: info.publisher ? [info.publisher] : [],
+    language: info.language ? [MARC_CODES[info.language] || info.language] : [],
+    subject: Array.isArray(info.categories) ? info.categories : [],
+    has_fulltext: volume.accessInfo?.viewability === "ALL_PAGES",
+    description: info.description,
+    number_of_pages: info.pageCount,
+  };
+};
+
+const googleBooksProvider = {
+  id: GOOGLE_BOOKS_PROVIDER_ID,
+  name: "Google Books",
+
+  ownsBookId: (bookId) => bookId.startsWith(BOOK_ID_PREFIX),
+
+  getBookId: (book) => `${BOOK_ID_PREFIX}${book.key.split("/").pop()}`,
+
+  // orderBy only knows relevance and newest
+  sortOptions: ["relevance", "new"],
+
+  searchBooks: async (
+    searchParams,
+    limit = 20,
+    offset = 0,
+    { signal, onRevalidate, refresh } = {}
+  ) => {
+    const query = buildQuery(searchParams);
+    if (!query) {
+      return { docs: [], numFound: 0 };
+    }
+
+    const { language, hasFulltext, sort } = searchParams;
+    const langRestrict = LANGUAGE_CODES[language];
+
+    // A language Google can't filter by would only return unrelated results
+    if (language && !langRestrict) {
+      return { docs: [], numFound: 0 };
+    }
+
+    const cacheKey = JSON.stringify({
+      provider: GOOGLE_BOOKS_PROVIDER_ID,
+      ...searchParams,
+      query,
+      limit,
+      offset,
+    });
+
+    return cachedFetch(
+      "search",
+      cacheKey,
+      async (request) => {
+        const params = new URLSearchParams({
+          q: query,
+          startIndex: offset,
+          maxResults: Math.min(limit, MAX_PAGE_SIZE),
+          printType: "books",
+        });
+        if (langRestrict) params.append("langRestrict", langRestrict);
+        if (hasFulltext) params.append("filter", "full");
+        if (sort === "new") params.append("orderBy", "newest");
+
+        const data = await fetchJson(
+          `${GOOGLE_BOOKS_URL}?${params.toString()}`,
+          request
+        );
+        return {
+          docs: filterVolumes(
+            (data.items || []).map(processVolume),
+            searchParams
+          ),
+          numFound: data.totalItems || 0,
+        };
+      },
+      { signal, onRevalidate, refresh }
+    );
+  },
+
+  getBookDetails: async (bookId, { onRevalidate } = {}) => {
+    const volumeId = bookId.slice(BOOK_ID_PREFIX.length);
+    const volume = await cachedFetch(
+      "work",
+      bookId,
+      () => fetchJson(`${GOOGLE_BOOKS_URL}/${volumeId}`),
+      { onRevalidate }
+    );
+
+    return processVolume(volume);
+  },
+
+  getCoverUrl: (book, size) => {
+    if (!book.cover_url) return null;
+
+    // Google serves larger images of the same volume via the zoom parameter
+    const zoom = size === "L" ? 3 : size === "M" ? 2 : 1;
+    return book.cover_url.replace(/zoom=\d/, `zoom=${zoom}`);
+  },
+
+  // Google Books has no author records, only names on volumes
+  getAuthor: async () => null,
+};
+
+export default googleBooksProvider;
@@ -0,0 +1,55 @@
+/**
+ * Open Library provider
+ * Adapts the functions in openLibraryApi.js to the search provider interface
+ */
+
+import {
+  searchBooks,
+  getBookDetails,
+  getEdition,
+  editionMetadata,
+  getAuthor,
+  getCoverUrl,
+} from "../openLibraryApi";
+import { NotFoundError } from "../apiErrors";
+
+export const OPEN_LIBRARY_PROVIDER_ID = "openlibrary";
+
+const tagBook = (book) => ({ ...book, provider: OPEN_LIBRARY_PROVIDER_ID });
+
+const openLibraryProvider = {
+  id: OPEN_LIBRARY_PROVIDER_ID,
+  name: "Open Library",
+
+  // Open Library IDs look like "OL45804W" (works) or "OL7353617M" (editions)
+  ownsBookId: (bookId) => /^OL\d+[WM]$/.test(bookId),
+
+  getBookId: (book) => book.key.split("/").pop(),
+
+  // Every SORT_OPTIONS value maps onto search.json's `sort` parameter
+  sortOptions: ["relevance", "new", "old", "editions", "rating", "title"],
+
+  searchBooks: async (searchParams, limit, offset, options) => {
+    const results = await searchBooks(searchParams, limit, offset, options);
+    return { ...results, docs: results.docs.map(tagBook) };
+  },
+
+  getBookDetails: async (bookId, options) => {
+    if (!bookId.endsWith("M")) {
+      return tagBook(await getBookDetails(bookId, options));
+    }
+
+    // Edition IDs load their work, showing that edition's details
+    const edition = await getEdition(bookId);
+    if (!edition.works[0]) throw new NotFoundError(`/books/${bookId}`);
+
+    const work = await getBookDetails(edition.works[0], options);
+    return tagBook({ ...work, ...editionMetadata(edition) });
+  },
+
+  getCoverUrl: (book, size) => getCoverUrl(book.cover_i, size),
+
+  getAuthor: (authorId) => getAuthor(authorId),
+};
+
+export default openLibraryProvider;
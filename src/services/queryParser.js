@@ -0,0 +1,258 @@
+/**
+ * Query Parser
+ * Turns the inline query language typed into the search box into
+ * structured searchBooks parameters.
+ *
+ * Syntax:
+ * - words                  general keywords (`q`)
+ * - field:value            title, author, subject, publisher, lang, isbn
+ * - field:"two words"      quoted values may contain spaces
+ * - year:1950..1970        first-publish-year range; either end may be left open
+ * - has:cover / has:fulltext
+ * - -term / -field:value   excludes matches
+ */
+
+import { isValidIsbn, normalizeIsbn } from "./isbn";
+
+// Query field -> searchBooks parameter
+const FIELD_PARAMS = {
+  title: "title",
+  author: "author",
+  subject: "subject",
+  publisher: "publisher",
+  lang: "language",
+  language: "language",
+  isbn: "isbn",
+};
+
+// Query field -> Open Library search field, used to express exclusions in `q`
+const SOLR_FIELDS = {
+  title: "title",
+  author: "author_name",
+  subject: "subject",
+  publisher: "publisher",
+  lang: "language",
+  language: "language",
+  isbn: "isbn",
+};
+
+// Fields whose repeated values are combined rather than replaced
+export const COMBINABLE_PARAMS = ["title", "author", "subject", "publisher"];
+
+const HAS_VALUES = ["cover", "fulltext"];
+
+const KNOWN_FIELDS = [...Object.keys(FIELD_PARAMS), "year", "has"];
+
+/**
+ * Split the input on whitespace, keeping quoted sections together
+ * @param {string} input - Raw query
+ * @returns {Array<Object>} Tokens with raw text, start offset and quote state
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    if (/\s/.test(input[index])) {
+      index++;
+      continue;
+    }
+
+    const start = index;
+    let inQuotes = false;
+    while (index < input.length && (inQuotes || !/\s/.test(input[index]))) {
+      if (input[index] === '"') inQuotes = !inQuotes;
+      index++;
+    }
+
+    tokens.push({
+      raw: input.slice(start, index),
+      start,
+      unterminated: inQuotes,
+    });
+  }
+
+  return tokens;
+};
+
+const unquote = (value) => value.replace(/^"(.*)"$/, "$1").trim();
+
+const quoteIfNeeded = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+const parseYearRange = (value) => {
+  const single = value.match(/^\d{1,4}$/);
+  if (single) {
+    const year = Number(value);
+    return { from: year, to: year };
+  }
+
+  const range = value.match(/^(\d{1,4})?\.\.(\d{1,4})?$/);
+  if (!range || (!range[1] && !range[2])) return null;
+
+  return {
+    from: range[1] ? Number(range[1]) : undefined,
+    to: range[2] ? Number(range[2]) : undefined,
+  };
+};
+
+/**
+ * Parse one token into a term, or explain why it can't be parsed
+ * @returns {{term: Object}|{error: string}} The term or an error message
+ */
+const parseToken = ({ raw, start, unterminated }) => {
+  if (unterminated) {
+    return { error: `Missing closing quote in ${raw}` };
+  }
+
+  const negated = raw.length > 1 && raw.startsWith("-");
+  const body = negated ? raw.slice(1) : raw;
+  const fieldMatch = body.match(/^([a-z]+):(.*)$/i);
+  const base = { raw, start, negated };
+
+  if (!fieldMatch) {
+    return { term: { ...base, field: "keyword", value: unquote(body) } };
+  }
+
+  const field = fieldMatch[1].toLowerCase();
+  const value = unquote(fieldMatch[2]);
+
+  if (!KNOWN_FIELDS.includes(field)) {
+    // A trailing colon is punctuation, as in "Star Wars: A New Hope"
+    if (!value) {
+      return { term: { ...base, field: "keyword", value: fieldMatch[1] } };
+    }
+    return {
+      error: `Unknown field "${field}". Use one of: ${KNOWN_FIELDS.join(", ")}`,
+    };
+  }
+
+  if (!value) {
+    return { error: `"${field}:" needs a value` };
+  }
+
+  switch (field) {
+    case "year": {
+      const range = parseYearRange(value);
+      if (!range) {
+        return {
+          error: `"${value}" is not a year or range. Try year:1950..1970`,
+        };
+      }
+      if (range.from && range.to && range.from > range.to) {
+        return { error: `Year range ${value} ends before it starts` };
+      }
+      return { term: { ...base, field, value: range } };
+    }
+    case "has":
+      if (!HAS_VALUES.includes(value.toLowerCase())) {
+        return { error: `Use has:cover or has:fulltext, not has:${value}` };
+      }
+      return { term: { ...base, field, value: value.toLowerCase() } };
+    case "lang":
+    case "language":
+      if (!/^[a-z]{3}$/i.test(value)) {
+        return {
+          error: `Use a three-letter language code like eng or fre, not "${value}"`,
+        };
+      }
+      return { term: { ...base, field, value: value.toLowerCase() } };
+    case "isbn":
+      if (!isValidIsbn(value)) {
+        return { error: `"${value}" is not a valid ISBN` };
+      }
+      return { term: { ...base, field, value: normalizeIsbn(value) } };
+    default:
+      return { term: { ...base, field, value } };
+  }
+};
+
+/**
+ * Open Library query clause that excludes a term's matches
+ * @param {Object} term - Negated term
+ * @returns {string} Clause for the `q` parameter
+ */
+const exclusionClause = ({ field, value }) => {
+  switch (field) {
+    case "keyword":
+      return `-${quoteIfNeeded(value)}`;
+    case "year":
+      return `-first_publish_year:[${value.from ?? "*"} TO ${value.to ?? "*"}]`;
+    case "has":
+      return value === "cover" ? "-cover_i:[1 TO *]" : "-has_fulltext:true";
+    default:
+      return `-${SOLR_FIELDS[field]}:${quoteIfNeeded(value)}`;
+  }
+};
+
+/**
+ * Turn parsed terms into searchBooks parameters
+ * @param {Array<Object>} terms - Terms from parseQuery
+ * @returns {Object} Search parameters
+ */
+const toSearchParams = (terms) => {
+  const params = {};
+  const clauses = [];
+
+  terms.forEach((term) => {
+    if (term.negated) {
+      clauses.push(exclusionClause(term));
+      return;
+    }
+
+    switch (term.field) {
+      case "keyword":
+        clauses.push(quoteIfNeeded(term.value));
+        break;
+      case "year":
+        if (term.value.from !== undefined) params.yearFrom = term.value.from;
+        if (term.value.to !== undefined) params.yearTo = term.value.to;
+        break;
+      case "has":
+        params[term.value === "cover" ? "hasCover" : "hasFulltext"] = true;
+        break;
+      default: {
+        const param = FIELD_PARAMS[term.field];
+        params[param] =
+          COMBINABLE_PARAMS.includes(param) && params[param]
+            ? `${params[param]} ${term.value}`
+            : term.value;
+      }
+    }
+  });
+
+  if (clauses.length > 0) params.q = clauses.join(" ");
+  return params;
+};
+
+/**
+ * Parse an inline query such as `author:tolkien -hobbit year:1950..1970`
+ * @param {string} input - Raw query typed by the user
+ * @returns {Object} { terms, params, errors } - the recognised terms, the
+ *   searchBooks parameters they describe, and one message per invalid token
+ */
+export const parseQuery = (input = "") => {
+  const terms = [];
+  const errors = [];
+
+  tokenize(input).forEach((token) => {
+    const { term, error } = parseToken(token);
+    if (error) {
+      errors.push({ message: error, raw: token.raw, start: token.start });
+    } else {
+      terms.push(term);
+    }
+  });
+
+  return { terms, params: toSearchParams(terms), errors };
+};
+
+/**
+ * Remove one parsed term from the query text
+ * @param {string} input - Raw query the term was parsed from
+ * @param {Object} term - Term from parseQuery
+ * @returns {string} Query without the term
+ */
+export const removeQueryTerm = (input, term) =>
+  `${input.slice(0, term.start)}${input.slice(term.start + term.raw.length)}`
+    .replace(/\s+/g, " ")
+    .trim();
@@ -0,0 +1,117 @@
+/**
+ * Reading Stats
+ * Figures for the /stats page, computed from the books on the Read shelf of
+ * the personal library (see shelves.js)
+ */
+
+import { getShelfEntries, getPageCount } from "./shelves";
+
+const MAX_TOP_VALUES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const yearOf = (date) => Number(date.slice(0, 4));
+const monthOf = (date) => Number(date.slice(5, 7)) - 1;
+
+// Most common values across the books, counting each once per book
+const topValues = (entries, getValues, limit = MAX_TOP_VALUES) => {
+  const counts = new Map();
+  entries.forEach((entry) => {
+    new Set(getValues(entry.book)).forEach((value) => {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+};
+
+// Books and pages per period, for entries finished in it
+const totalsBy = (entries, getPeriod, periods) =>
+  periods.map((period) => {
+    const finished = entries.filter(
+      (entry) => getPeriod(entry.finishedOn) === period
+    );
+    return {
+      period,
+      books: finished.length,
+      pages: finished.reduce(
+        (sum, entry) => sum + (getPageCount(entry) || 0),
+        0
+      ),
+    };
+  });
+
+/**
+ * Compute reading statistics for the stats page
+ * @param {Object} library - Personal library
+ * @param {number} year - Year to break down by month and measure the goal against
+ * @returns {Object} { readCount, readingCount, years, months, yearTotals,
+ *   yearSummary, averageDaysToFinish, topAuthors, topSubjects, decades, goal }
+ *   where months and yearTotals are { period, books, pages } rows, the top
+ *   lists and decades are { value, count } rows and goal is
+ *   { target, read, percent } or null
+ */
+export const getReadingStats = (library, year) => {
+  const read = getShelfEntries(library, "read");
+  const finished = read.filter((entry) => entry.finishedOn);
+
+  const years = [
+    ...new Set([year, ...finished.map((entry) => yearOf(entry.finishedOn))]),
+  ].sort((a, b) => b - a);
+
+  const months = totalsBy(
+    finished.filter((entry) => yearOf(entry.finishedOn) === year),
+    monthOf,
+    [...Array(12).keys()]
+  );
+
+  // Only books with both dates count towards the time to finish, which
+  // includes the start and finish days
+  const durations = finished
+    .filter((entry) => entry.startedOn && entry.startedOn <= entry.finishedOn)
+    .map(
+      (entry) =>
+        (Date.parse(entry.finishedOn) - Date.parse(entry.startedOn)) / DAY_MS +
+        1
+    );
+
+  const decades = topValues(
+    read,
+    (book) =>
+      book.first_publish_year
+        ? [Math.floor(book.first_publish_year / 10) * 10]
+        : [],
+    Infinity
+  ).sort((a, b) => a.value - b.value);
+
+  const yearSummary = totalsBy(finished, yearOf, [year])[0];
+  const target = library.goals?.[year] || 0;
+
+  return {
+    readCount: read.length,
+    readingCount: getShelfEntries(library, "currently-reading").length,
+    years,
+    months,
+    yearTotals: totalsBy(finished, yearOf, years),
+    yearSummary,
+    averageDaysToFinish: durations.length
+      ? Math.round(
+          durations.reduce((sum, days) => sum + days, 0) / durations.length
+        )
+      : null,
+    topAuthors: topValues(read, (book) => book.author_name || []),
+    topSubjects: topValues(read, (book) => book.subject || []),
+    decades,
+    goal: target
+      ? {
+          target,
+          read: yearSummary.books,
+          percent: Math.min(
+            100,
+            Math.round((yearSummary.books / target) * 100)
+          ),
+        }
+      : null,
+  };
+};
@@ -0,0 +1,123 @@
+/**
+ * Search History
+ * Recent searches and named saved searches, persisted in localStorage.
+ * A search is { formParams, query, sort }: the search form's fields, the
+ * query box text and the result order.
+ */
+
+const HISTORY_STORAGE_KEY = "bookfinder-search-history";
+const SAVED_STORAGE_KEY = "bookfinder-saved-searches";
+
+const MAX_HISTORY_ENTRIES = 10;
+
+const readList = (storageKey) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    // Ignore malformed saved data
+    return [];
+  }
+};
+
+const writeList = (storageKey, list) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(list));
+  } catch (error) {
+    console.warn("Could not save search history:", error);
+  }
+  return list;
+};
+
+/**
+ * Whether two searches would run the same request
+ * @param {Object} a - Search
+ * @param {Object} b - Search
+ * @returns {boolean} True when form fields, query and sort all match
+ */
+export const isSameSearch = (a, b) =>
+  JSON.stringify(a.formParams) === JSON.stringify(b.formParams) &&
+  a.query === b.query &&
+  a.sort === b.sort;
+
+/**
+ * Get recent searches, newest first
+ * @returns {Array<Object>} { search, searchedAt } entries
+ */
+export const getSearchHistory = () => readList(HISTORY_STORAGE_KEY);
+
+/**
+ * Record a search at the top of the history, dropping an older copy of it
+ * @param {Object} search - Search that just ran
+ * @returns {Array<Object>} Updated history
+ */
+export const addToSearchHistory = (search) =>
+  writeList(
+    HISTORY_STORAGE_KEY,
+    [
+      { search, searchedAt: Date.now() },
+      ...getSearchHistory().filter(
+        (entry) => !isSameSearch(entry.search, search)
+      ),
+    ].slice(0, MAX_HISTORY_ENTRIES)
+  );
+
+/**
+ * Forget every recent search
+ * @returns {Array<Object>} The empty history
+ */
+export const clearSearchHistory = () => writeList(HISTORY_STORAGE_KEY, []);
+
+/**
+ * Get saved searches in the order they were saved
+ * @returns {Array<Object>} { id, name, search, createdAt, lastRunAt, lastNumFound }
+ */
+export const getSavedSearches = () => readList(SAVED_STORAGE_KEY);
+
+/**
+ * Save a search under a name
+ * @param {string} name - Name shown in the saved searches list
+ * @param {Object} search - Search to save
+ * @param {number} numFound - Current result count, the baseline for "new results"
+ * @returns {Array<Object>} Updated saved searches
+ */
+export const saveSearch = (name, search, numFound = null) => {
+  const now = Date.now();
+
+  return writeList(SAVED_STORAGE_KEY, [
+    ...getSavedSearches(),
+    {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      name: name.trim(),
+      search,
+      createdAt: now,
+      lastRunAt: numFound === null ? null : now,
+      lastNumFound: numFound,
+    },
+  ]);
+};
+
+/**
+ * Change a saved search
+ * @param {string} id - Saved search ID
+ * @param {Object} changes - Fields to overwrite, e.g. { name } or { lastRunAt, lastNumFound }
+ * @returns {Array<Object>} Updated saved searches
+ */
+export const updateSavedSearch = (id, changes) =>
+  writeList(
+    SAVED_STORAGE_KEY,
+    getSavedSearches().map((saved) =>
+      saved.id === id ? { ...saved, ...changes } : saved
+    )
+  );
+
+/**
+ * Delete a saved search
+ * @param {string} id - Saved search ID
+ * @returns {Array<Object>} Updated saved searches
+ */
+export const deleteSavedSearch = (id) =>
+  writeList(
+    SAVED_STORAGE_KEY,
+    getSavedSearches().filter((saved) => saved.id !== id)
+  );
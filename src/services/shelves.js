@@ -0,0 +1,355 @@
+/**
+ * Shelves
+ * The user's personal library, persisted in localStorage. Every function
+ * takes the current library and returns an updated copy, so the shelves
+ * context can keep it in React state.
+ *
+ * A library is { shelves, books, goals, annotations }:
+ * - shelves: [{ id, name, isDefault, createdAt }] in display order
+ * - books: { [bookId]: { book, shelfIds, addedAt, updatedAt, ...progress } }
+ *   where `book` is a snapshot of the fields the card grid needs, and the
+ *   reading progress is { startedOn, finishedOn, currentPage, pageCount }
+ *   with dates as "YYYY-MM-DD"
+ * - goals: { [year]: number of books to read that year }
+ * - annotations: ratings, reviews and notes per book (see annotations.js)
+ *
+ * A book sits on at most one default shelf (Want to Read, Currently Reading,
+ * Read) and on any number of custom shelves.
+ */
+
+const LIBRARY_STORAGE_KEY = "bookfinder-library";
+
+export const DEFAULT_SHELVES = [
+  { id: "want-to-read", name: "Want to Read" },
+  { id: "currently-reading", name: "Currently Reading" },
+  { id: "read", name: "Read" },
+];
+
+const DEFAULT_SHELF_IDS = DEFAULT_SHELVES.map((shelf) => shelf.id);
+
+// Fields kept from a search result or detail record
+const SNAPSHOT_FIELDS = [
+  "key",
+  "provider",
+  "title",
+  "author_name",
+  "first_publish_year",
+  "cover_i",
+  "cover_url",
+  "isbn",
+  "edition_count",
+  "language",
+  "publisher",
+  "number_of_pages",
+  "subject",
+];
+
+const READING_SHELF_ID = "currently-reading";
+const READ_SHELF_ID = "read";
+
+const emptyLibrary = () => ({
+  shelves: DEFAULT_SHELVES.map((shelf) => ({
+    ...shelf,
+    isDefault: true,
+    createdAt: 0,
+  })),
+  books: {},
+  goals: {},
+  annotations: {},
+});
+
+/**
+ * Whether a shelf is one of the built-in reading-status shelves
+ * @param {string} shelfId - Shelf ID
+ * @returns {boolean} True for Want to Read, Currently Reading and Read
+ */
+export const isDefaultShelf = (shelfId) => DEFAULT_SHELF_IDS.includes(shelfId);
+
+/**
+ * Load the library, creating the default shelves on first use
+ * @returns {Object} { shelves, books }
+ */
+export const loadLibrary = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LIBRARY_STORAGE_KEY));
+    if (Array.isArray(saved?.shelves) && saved.books) {
+      // Shelves added in later versions appear for existing users too
+      const missing = emptyLibrary().shelves.filter(
+        (shelf) => !saved.shelves.some((existing) => existing.id === shelf.id)
+      );
+      return {
+        goals: {},
+        annotations: {},
+        ...saved,
+        shelves: [...missing, ...saved.shelves],
+      };
+    }
+  } catch {
+    // Ignore malformed saved data
+  }
+  return emptyLibrary();
+};
+
+/**
+ * Persist the library
+ * @param {Object} library - Library to save
+ */
+export const saveLibrary = (library) => {
+  try {
+    localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library));
+  } catch (error) {
+    console.warn("Could not save library:", error);
+  }
+};
+
+/**
+ * Keep only the fields of a book the shelves need to show it later
+ * @param {Object} book - Search result or detail record
+ * @returns {Object} Book snapshot
+ */
+export const toShelfBook = (book) => {
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach((field) => {
+    if (book[field] !== undefined && book[field] !== null) {
+      snapshot[field] = book[field];
+    }
+  });
+  if (Array.isArray(snapshot.isbn)) snapshot.isbn = snapshot.isbn.slice(0, 5);
+  if (Array.isArray(snapshot.subject)) {
+    snapshot.subject = snapshot.subject.slice(0, 10);
+  }
+  return snapshot;
+};
+
+/**
+ * Today's date in the local time zone, as used for reading dates
+ * @returns {string} "YYYY-MM-DD"
+ */
+export const todayDate = () => {
+  const now = new Date();
+  return [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, "0"),
+    String(now.getDate()).padStart(2, "0"),
+  ].join("-");
+};
+
+/**
+ * Page count for a shelved book: the reader's own figure, or the one from
+ * the edition it was shelved from
+ * @param {Object} entry - Library book entry
+ * @returns {number|null} Number of pages, if known
+ */
+export const getPageCount = (entry) =>
+  entry?.pageCount || entry?.book?.number_of_pages || null;
+
+// Fill in reading dates when a book changes status: starting it stamps the
+// start date (a finished book starts over as a re-read), finishing it stamps
+// the finish date and jumps to the last page
+const withStatusDates = (entry, shelfId) => {
+  if (shelfId === READING_SHELF_ID) {
+    return entry.finishedOn
+      ? { ...entry, startedOn: todayDate(), finishedOn: null, currentPage: 0 }
+      : { ...entry, startedOn: entry.startedOn || todayDate() };
+  }
+  if (shelfId === READ_SHELF_ID) {
+    return {
+      ...entry,
+      finishedOn: entry.finishedOn || todayDate(),
+      currentPage: getPageCount(entry) || entry.currentPage || 0,
+    };
+  }
+  return entry;
+};
+
+// Replace one book entry, or drop it once it is on no shelf at all
+const withBookEntry = (library, bookId, entry) => {
+  const books = { ...library.books };
+  if (entry.shelfIds.length > 0) {
+    books[bookId] = entry;
+  } else {
+    delete books[bookId];
+  }
+  return { ...library, books };
+};
+
+/**
+ * Put a book on a shelf. Adding to a default shelf moves it off the other
+ * default shelves; custom shelves are independent.
+ * @param {Object} library - Current library
+ * @param {string} bookId - Route book ID
+ * @param {Object} book - Book to store a snapshot of
+ * @param {string} shelfId - Target shelf ID
+ * @returns {Object} Updated library
+ */
+export const addBookToShelf = (library, bookId, book, shelfId) => {
+  const now = Date.now();
+  const existing = library.books[bookId];
+  const shelfIds = (existing?.shelfIds || []).filter(
+    (id) => id !== shelfId && !(isDefaultShelf(shelfId) && isDefaultShelf(id))
+  );
+
+  return withBookEntry(
+    library,
+    bookId,
+    withStatusDates(
+      {
+        ...existing,
+        book: { ...existing?.book, ...toShelfBook(book) },
+        shelfIds: [...shelfIds, shelfId],
+        addedAt: existing?.addedAt ?? now,
+        updatedAt: now,
+      },
+      shelfId
+    )
+  );
+};
+
+/**
+ * Take a book off a shelf; it leaves the library when no shelf holds it
+ * @param {Object} library - Current library
+ * @param {string} bookId - Route book ID
+ * @param {string} shelfId - Shelf to remove it from
+ * @returns {Object} Updated library
+ */
+export const removeBookFromShelf = (library, bookId, shelfId) => {
+  const existing = library.books[bookId];
+  if (!existing) return library;
+
+  return withBookEntry(library, bookId, {
+    ...existing,
+    shelfIds: existing.shelfIds.filter((id) => id !== shelfId),
+    updatedAt: Date.now(),
+  });
+};
+
+/**
+ * Move a book from one shelf to another
+ * @param {Object} library - Current library
+ * @param {string} bookId - Route book ID
+ * @param {string} fromShelfId - Shelf it is on now
+ * @param {string} toShelfId - Shelf to move it to
+ * @returns {Object} Updated library
+ */
+export const moveBookToShelf = (library, bookId, fromShelfId, toShelfId) => {
+  const existing = library.books[bookId];
+  if (!existing) return library;
+
+  // Add first so the entry, with its dates and progress, is never dropped
+  const added = addBookToShelf(library, bookId, existing.book, toShelfId);
+  return fromShelfId === toShelfId
+    ? added
+    : removeBookFromShelf(added, bookId, fromShelfId);
+};
+
+/**
+ * Update the reading progress of a shelved book
+ * @param {Object} library - Current library
+ * @param {string} bookId - Route book ID
+ * @param {Object} changes - Any of startedOn, finishedOn, currentPage, pageCount
+ * @returns {Object} Updated library; books not in the library are ignored
+ */
+export const updateReadingProgress = (library, bookId, changes) => {
+  const existing = library.books[bookId];
+  if (!existing) return library;
+
+  const entry = { ...existing, ...changes, updatedAt: Date.now() };
+  const pageCount = getPageCount(entry);
+  const currentPage = Math.max(0, Math.round(Number(entry.currentPage) || 0));
+  entry.currentPage = pageCount
+    ? Math.min(currentPage, pageCount)
+    : currentPage;
+
+  return withBookEntry(library, bookId, entry);
+};
+
+/**
+ * Set the number of books to read in a year
+ * @param {Object} library - Current library
+ * @param {number} year - Calendar year
+ * @param {number} count - Target number of books; 0 clears the goal
+ * @returns {Object} Updated library
+ */
+export const setReadingGoal = (library, year, count) => {
+  const goals = { ...library.goals };
+  const target = Math.max(0, Math.round(Number(count) || 0));
+  if (target > 0) {
+    goals[year] = target;
+  } else {
+    delete goals[year];
+  }
+  return { ...library, goals };
+};
+
+/**
+ * Generate an ID for a new custom shelf
+ * @returns {string} Shelf ID
+ */
+export const createShelfId = () =>
+  `shelf-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Create a custom shelf
+ * @param {Object} library - Current library
+ * @param {string} name - Shelf name
+ * @param {string} id - Shelf ID, for callers that need it before the update
+ * @returns {Object} Updated library; the new shelf is last in `shelves`
+ */
+export const createShelf = (library, name, id = createShelfId()) => ({
+  ...library,
+  shelves: [
+    ...library.shelves,
+    {
+      id,
+      name: name.trim(),
+      isDefault: false,
+      createdAt: Date.now(),
+    },
+  ],
+});
+
+/**
+ * Rename a custom shelf
+ * @param {Object} library - Current library
+ * @param {string} shelfId - Shelf ID
+ * @param {string} name - New name
+ * @returns {Object} Updated library
+ */
+export const renameShelf = (library, shelfId, name) => ({
+  ...library,
+  shelves: library.shelves.map((shelf) =>
+    shelf.id === shelfId && !shelf.isDefault
+      ? { ...shelf, name: name.trim() }
+      : shelf
+  ),
+});
+
+/**
+ * Delete a custom shelf, taking its books off it
+ * @param {Object} library - Current library
+ * @param {string} shelfId - Shelf ID; default shelves can't be deleted
+ * @returns {Object} Updated library
+ */
+export const deleteShelf = (library, shelfId) => {
+  if (isDefaultShelf(shelfId)) return library;
+
+  return getShelfEntries(library, shelfId).reduce(
+    (next, { bookId }) => removeBookFromShelf(next, bookId, shelfId),
+    {
+      ...library,
+      shelves: library.shelves.filter((shelf) => shelf.id !== shelfId),
+    }
+  );
+};
+
+/**
+ * Get the books on a shelf, most recently changed first
+ * @param {Object} library - Current library
+ * @param {string} shelfId - Shelf ID
+ * @returns {Array<Object>} { bookId, ...entry } items
+ */
+export const getShelfEntries = (library, shelfId) =>
+  Object.entries(library.books)
+    .filter(([, entry]) => entry.shelfIds.includes(shelfId))
+    .map(([bookId, entry]) => ({ bookId, ...entry }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
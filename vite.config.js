@@ -15,6 +15,18 @@ export default defineConfig({
         headers: {
           "User-Agent": "BookFinder/1.0",
         },
+        // Keep redirects (e.g. /isbn/... -> /books/...) going through the proxy
+        configure: (proxy) => {
+          proxy.on("proxyRes", (proxyRes) => {
+            const location = proxyRes.headers.location;
+            if (location) {
+              proxyRes.headers.location = location.replace(
+                /^(https:\/\/openlibrary\.org)?\//,
+                "/api/openlibrary/",
+              );
+            }
+          });
+        },
       },
       "/api/covers": {
         target: "https://covers.openlibrary.org",